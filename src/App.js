@@ -1,8 +1,9 @@
 import React from 'react';
+import { connect } from './MyRedux';
 
 
-export const App = () => {
+export const App = connect(state => ({ greeting: state.greeting }))(({ greeting }) => {
   return (
-    <h1>Hello World</h1>
+    <h1>{greeting}</h1>
   )
-}
+})
@@ -0,0 +1,255 @@
+// devTools is a store enhancer that records every dispatched action together with the
+// state it produced and a timestamp, and lets you move through that history
+//
+// const store = createStore(reducer, compose(applyMiddleware(thunk), devTools()))
+// store.devTools.jumpToAction(3)    show the state right after the third action
+// store.devTools.toggleAction(2)    replay the log as if action 2 never happened
+// store.devTools.commit()           make the current state the new starting point
+// store.devTools.reset()            throw away everything since the last commit
+// store.devTools.exportLog()        JSON for a bug report, importLog(json) replays it
+//                                   from the same committed state
+//
+// it works by "lifting" the store: the real store underneath holds the whole history
+// (the lifted state) and a lifted reducer that replays the app reducer over it. the app
+// only ever sees the state at the current index. jumping around is a dispatch on the
+// lifted store, so the store listeners, the Provider's Subscription and every connected
+// component below it get notified and re-render against the historical state
+
+export const ActionTypes = {
+  PERFORM_ACTION: '@@mydevtools/PERFORM_ACTION',
+  JUMP_TO_ACTION: '@@mydevtools/JUMP_TO_ACTION',
+  TOGGLE_ACTION: '@@mydevtools/TOGGLE_ACTION',
+  COMMIT: '@@mydevtools/COMMIT',
+  RESET: '@@mydevtools/RESET',
+  IMPORT_LOG: '@@mydevtools/IMPORT_LOG'
+}
+
+// the first entry of every log, its state is the reducer's answer to the committed state
+const INIT_ACTION = { type: '@@mydevtools/INIT' };
+
+// a reducer that throws doesn't break the history, the entry keeps the previous state
+// and remembers the error
+function computeState(reducer, state, action, skipped) {
+  if (skipped) {
+    return { state };
+  }
+
+  try {
+    return { state: reducer(state, action) };
+  } catch (err) {
+    return { state, error: err.message };
+  }
+}
+
+// recompute every entry from fromIndex on, the ones before it are still valid
+function recomputeStates(reducer, liftedState, fromIndex) {
+  const { committedState, actions, skipped } = liftedState;
+  const computedStates = liftedState.computedStates.slice(0, fromIndex);
+
+  for (let i = fromIndex; i < actions.length; i++) {
+    const previousState = i === 0 ? committedState : computedStates[i - 1].state;
+    computedStates.push(
+      computeState(reducer, previousState, actions[i].action, skipped.indexOf(i) !== -1)
+    );
+  }
+
+  return { ...liftedState, computedStates };
+}
+
+// maxAge keeps the log from growing forever, the oldest actions are folded into the
+// committed state
+function commitExcessActions(liftedState, maxAge) {
+  const excess = liftedState.actions.length - maxAge;
+  if (!maxAge || excess <= 0) return liftedState;
+
+  const { actions, computedStates, skipped, currentIndex } = liftedState;
+  return {
+    committedState: computedStates[excess].state,
+    actions: [actions[0]].concat(actions.slice(excess + 1)),
+    computedStates: [computedStates[excess]].concat(computedStates.slice(excess + 1)),
+    skipped: skipped
+      .map(index => index - excess)
+      .filter(index => index > 0),
+    currentIndex: Math.max(0, currentIndex - excess)
+  };
+}
+
+function createInitialLiftedState(committedState) {
+  return {
+    committedState,
+    actions: [{ action: INIT_ACTION, timestamp: Date.now() }],
+    computedStates: [],
+    skipped: [],
+    currentIndex: 0
+  };
+}
+
+function liftReducer(reducer, preloadedState, maxAge) {
+  return function liftedReducer(liftedState, liftedAction) {
+    if (liftedState === undefined) {
+      liftedState = createInitialLiftedState(preloadedState);
+    }
+
+    const lastIndex = liftedState.actions.length - 1;
+
+    switch (liftedAction.type) {
+      case ActionTypes.PERFORM_ACTION: {
+        const { action, timestamp } = liftedAction;
+        const previousState = liftedState.computedStates[lastIndex].state;
+        const nextLiftedState = {
+          ...liftedState,
+          actions: liftedState.actions.concat({ action, timestamp }),
+          computedStates: liftedState.computedStates.concat(
+            computeState(reducer, previousState, action, false)
+          ),
+          // while looking at an older state new actions are recorded, but the view
+          // only follows them when it was already showing the latest state
+          currentIndex: liftedState.currentIndex === lastIndex
+            ? lastIndex + 1
+            : liftedState.currentIndex
+        };
+        return commitExcessActions(nextLiftedState, maxAge);
+      }
+
+      case ActionTypes.JUMP_TO_ACTION:
+        return {
+          ...liftedState,
+          currentIndex: Math.max(0, Math.min(liftedAction.index, lastIndex))
+        };
+
+      case ActionTypes.TOGGLE_ACTION: {
+        const { index } = liftedAction;
+        // the init entry can't be skipped, it is where the log starts
+        if (index <= 0 || index > lastIndex) return liftedState;
+
+        const skipped = liftedState.skipped.indexOf(index) === -1
+          ? liftedState.skipped.concat(index)
+          : liftedState.skipped.filter(skippedIndex => skippedIndex !== index);
+
+        return recomputeStates(reducer, { ...liftedState, skipped }, index);
+      }
+
+      case ActionTypes.COMMIT: {
+        const current = liftedState.computedStates[liftedState.currentIndex].state;
+        return recomputeStates(reducer, createInitialLiftedState(current), 0);
+      }
+
+      case ActionTypes.RESET:
+        return recomputeStates(
+          reducer,
+          createInitialLiftedState(liftedState.committedState),
+          0
+        );
+
+      case ActionTypes.IMPORT_LOG: {
+        const { committedState, actions, skipped = [], currentIndex } = liftedAction.log;
+        const importedActions = [liftedState.actions[0]].concat(actions);
+        const imported = {
+          ...liftedState,
+          // a missing committedState was undefined when exported, the reducers start
+          // from their initial state then as well
+          committedState,
+          actions: importedActions,
+          skipped: skipped.filter(index => index > 0 && index < importedActions.length),
+          currentIndex: currentIndex === undefined
+            ? importedActions.length - 1
+            : Math.max(0, Math.min(currentIndex, importedActions.length - 1))
+        };
+        return recomputeStates(reducer, imported, 0);
+      }
+
+      default:
+        // the store's own INIT and REPLACE actions: the reducer may have changed, so
+        // the whole history is replayed with it
+        return recomputeStates(reducer, liftedState, 0);
+    }
+  }
+}
+
+export function devTools({ maxAge } = {}) {
+  if (maxAge !== undefined && maxAge < 2) {
+    throw new Error('maxAge must be at least 2, the log always keeps its init entry.');
+  }
+
+  return createStore => (reducer, preloadedState) => {
+    const liftedStore = createStore(liftReducer(reducer, preloadedState, maxAge));
+
+    function getState() {
+      const { computedStates, currentIndex } = liftedStore.getState();
+      return computedStates[currentIndex].state;
+    }
+
+    function dispatch(action) {
+      if (typeof action !== 'object' || action === null || typeof action.type === 'undefined') {
+        throw new Error(
+          'Actions must be plain objects with a "type" property. ' +
+          'Use custom middleware for async actions.'
+        );
+      }
+
+      liftedStore.dispatch({
+        type: ActionTypes.PERFORM_ACTION,
+        action,
+        timestamp: Date.now()
+      });
+      return action;
+    }
+
+    function replaceReducer(nextReducer) {
+      const { committedState } = liftedStore.getState();
+      liftedStore.replaceReducer(liftReducer(nextReducer, committedState, maxAge));
+    }
+
+    // every entry of the log with the state it produced
+    function getHistory() {
+      const { actions, computedStates, skipped, currentIndex } = liftedStore.getState();
+      return actions.map((entry, index) => ({
+        action: entry.action,
+        timestamp: entry.timestamp,
+        state: computedStates[index].state,
+        error: computedStates[index].error,
+        skipped: skipped.indexOf(index) !== -1,
+        current: index === currentIndex
+      }));
+    }
+
+    // the export starts from the committed state, so a log trimmed by maxAge or commit()
+    // or one of a preloaded store replays to the same states elsewhere. the init entry
+    // is local and stays out of it
+    function exportLog() {
+      const { committedState, actions, skipped, currentIndex } = liftedStore.getState();
+      return JSON.stringify({
+        committedState,
+        actions: actions.slice(1),
+        skipped,
+        currentIndex
+      });
+    }
+
+    function importLog(json) {
+      const log = typeof json === 'string' ? JSON.parse(json) : json;
+      if (!log || !Array.isArray(log.actions)) {
+        throw new Error('importLog expected a log created by exportLog.');
+      }
+
+      liftedStore.dispatch({ type: ActionTypes.IMPORT_LOG, log });
+    }
+
+    return {
+      ...liftedStore,
+      dispatch,
+      getState,
+      replaceReducer,
+      liftedStore,
+      devTools: {
+        getHistory,
+        jumpToAction: index => liftedStore.dispatch({ type: ActionTypes.JUMP_TO_ACTION, index }),
+        toggleAction: index => liftedStore.dispatch({ type: ActionTypes.TOGGLE_ACTION, index }),
+        commit: () => liftedStore.dispatch({ type: ActionTypes.COMMIT }),
+        reset: () => liftedStore.dispatch({ type: ActionTypes.RESET }),
+        exportLog,
+        importLog
+      }
+    }
+  }
+}
@@ -0,0 +1,32 @@
+import { createStore } from './MyRedux';
+import { devTools } from './MyDevTools';
+
+function counter(state = 0, action) {
+  return action.type === 'INCREMENT' ? state + 1 : state;
+}
+
+const increment = () => ({ type: 'INCREMENT' });
+
+describe('exportLog and importLog', () => {
+  it('replay a log trimmed by maxAge to the same state', () => {
+    const store = createStore(counter, devTools({ maxAge: 3 }));
+    for (let i = 0; i < 5; i++) store.dispatch(increment());
+    expect(store.getState()).toBe(5);
+
+    const other = createStore(counter, devTools());
+    other.devTools.importLog(store.devTools.exportLog());
+    expect(other.getState()).toBe(5);
+  });
+
+  it('replay a log from a commit or a preloaded state', () => {
+    const store = createStore(counter, 10, devTools());
+    store.dispatch(increment());
+    store.devTools.commit();
+    store.dispatch(increment());
+
+    const other = createStore(counter, devTools());
+    other.devTools.importLog(store.devTools.exportLog());
+    expect(other.getState()).toBe(12);
+    expect(other.devTools.getHistory().map(entry => entry.state)).toEqual([11, 12]);
+  });
+});
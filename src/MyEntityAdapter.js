@@ -0,0 +1,208 @@
+import { produce, isDraft } from './MyToolkit';
+import { createSelector } from './MyReselect';
+
+// an entity adapter keeps a collection normalized: the items by id in entities, and
+// their order in ids. looking up one item is entities[id] instead of a scan of an array
+//
+// const usersAdapter = createEntityAdapter({
+//   selectId: user => user.login,
+//   sortComparer: (a, b) => a.name.localeCompare(b.name)
+// })
+//
+// const usersSlice = createSlice({
+//   name: 'users',
+//   initialState: usersAdapter.getInitialState({ loading: false }),
+//   reducers: {
+//     userAdded: usersAdapter.addOne,
+//     usersReceived: usersAdapter.setAll,
+//     userUpdated: usersAdapter.updateOne    payload { id, changes }
+//   }
+// })
+//
+// const { selectAll: selectAllUsers, selectById: selectUserById } =
+//   usersAdapter.getSelectors(state => state.users)
+//
+// the state helpers take the state and either an entity (ids, updates) or an action
+// carrying it as payload, so they work as case reducers as they are. outside createSlice
+// they return a new state, on a draft they change the draft
+
+function isAction(arg) {
+  return typeof arg === 'object' && arg !== null && typeof arg.type === 'string' && 'payload' in arg;
+}
+
+// values of a { [id]: entity } record or an array
+function toList(entities) {
+  return Array.isArray(entities) ? entities : Object.keys(entities).map(id => entities[id]);
+}
+
+// the keys of entities are strings, ids keeps what selectId returned. an id 1 and the key
+// '1' are the same entity
+function isSameId(a, b) {
+  return String(a) === String(b);
+}
+
+function areIdsEqual(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+// options:
+// selectId(entity)        the id of an entity (default entity.id)
+// sortComparer(a, b)      keeps ids sorted like Array.prototype.sort, by default ids stay
+//                         in insertion order
+export function createEntityAdapter(options = {}) {
+  const { selectId = entity => entity.id, sortComparer = false } = options;
+
+  // ids of a sorted adapter follow the entities, the array is only replaced when the
+  // order actually changed
+  function sortIds(state) {
+    if (!sortComparer) return;
+
+    const sortedIds = toList(state.entities)
+      .slice()
+      .sort(sortComparer)
+      .map(selectId);
+
+    if (!areIdsEqual(sortedIds, state.ids)) {
+      state.ids = sortedIds;
+    }
+  }
+
+  function addOne(state, entity) {
+    const id = selectId(entity);
+    if (state.entities.hasOwnProperty(id)) return;
+
+    state.ids.push(id);
+    state.entities[id] = entity;
+  }
+
+  function setOne(state, entity) {
+    const id = selectId(entity);
+    if (!state.entities.hasOwnProperty(id)) {
+      state.ids.push(id);
+    }
+    state.entities[id] = entity;
+  }
+
+  function removeOne(state, id) {
+    if (!state.entities.hasOwnProperty(id)) return;
+
+    delete state.entities[id];
+    state.ids = state.ids.filter(other => !isSameId(other, id));
+  }
+
+  // an update may also change the id, the entity then moves to its new key
+  function updateOne(state, { id, changes }) {
+    if (!state.entities.hasOwnProperty(id)) return;
+
+    const updated = { ...state.entities[id], ...changes };
+    const newId = selectId(updated);
+
+    if (!isSameId(newId, id)) {
+      delete state.entities[id];
+      state.ids = state.ids.map(other => (isSameId(other, id) ? newId : other));
+    }
+    state.entities[newId] = updated;
+  }
+
+  function upsertOne(state, entity) {
+    const id = selectId(entity);
+    if (state.entities.hasOwnProperty(id)) {
+      updateOne(state, { id, changes: entity });
+    } else {
+      addOne(state, entity);
+    }
+  }
+
+  // mutator(draft, arg) changes a draft of the state, the operator takes care of drafts,
+  // plain states, actions and sorting
+  function createStateOperator(mutator) {
+    return function operation(state, arg) {
+      const value = isAction(arg) ? arg.payload : arg;
+
+      const run = draft => {
+        mutator(draft, value);
+        sortIds(draft);
+      };
+
+      if (isDraft(state)) {
+        run(state);
+        return state;
+      }
+
+      return produce(state, run);
+    }
+  }
+
+  function forEachOf(mutator) {
+    return (state, list) => toList(list).forEach(item => mutator(state, item));
+  }
+
+  const stateHelpers = {
+    addOne: createStateOperator(addOne),
+    addMany: createStateOperator(forEachOf(addOne)),
+    setOne: createStateOperator(setOne),
+    setMany: createStateOperator(forEachOf(setOne)),
+    setAll: createStateOperator((state, entities) => {
+      state.ids = [];
+      state.entities = {};
+      forEachOf(addOne)(state, entities);
+    }),
+    updateOne: createStateOperator(updateOne),
+    updateMany: createStateOperator(forEachOf(updateOne)),
+    upsertOne: createStateOperator(upsertOne),
+    upsertMany: createStateOperator(forEachOf(upsertOne)),
+    removeOne: createStateOperator(removeOne),
+    removeMany: createStateOperator(forEachOf(removeOne)),
+    removeAll: createStateOperator(state => {
+      if (state.ids.length === 0) return;
+      state.ids = [];
+      state.entities = {};
+    })
+  };
+
+  // additional fields of the slice go next to ids and entities, e.g. a loading flag
+  function getInitialState(additionalState = {}) {
+    return { ids: [], entities: {}, ...additionalState };
+  }
+
+  // getSelectors() returns selectors of the adapter's state itself,
+  // getSelectors(state => state.users) selectors of the whole state tree. selectAll and
+  // selectTotal are memoized on ids and entities, an unrelated change of the state
+  // returns the same array and doesn't re-render a container that uses them
+  function getSelectors(selectState) {
+    const selectIds = state => state.ids;
+    const selectEntities = state => state.entities;
+    const selectAll = createSelector(
+      selectIds,
+      selectEntities,
+      (ids, entities) => ids.map(id => entities[id])
+    );
+    const selectTotal = createSelector(selectIds, ids => ids.length);
+    const selectById = (state, id) => selectEntities(state)[id];
+
+    if (!selectState) {
+      return { selectIds, selectEntities, selectAll, selectTotal, selectById };
+    }
+
+    const selectGlobalEntities = createSelector(selectState, selectEntities);
+    return {
+      selectIds: createSelector(selectState, selectIds),
+      selectEntities: selectGlobalEntities,
+      selectAll: createSelector(selectState, selectAll),
+      selectTotal: createSelector(selectState, selectTotal),
+      selectById: (state, id) => selectGlobalEntities(state)[id]
+    };
+  }
+
+  return {
+    selectId,
+    sortComparer,
+    getInitialState,
+    getSelectors,
+    ...stateHelpers
+  }
+}
@@ -0,0 +1,112 @@
+import { createEntityAdapter } from './MyEntityAdapter';
+import { createSlice } from './MyToolkit';
+
+const ada = { id: 1, name: 'Ada' };
+const bob = { id: 2, name: 'Bob' };
+const cy = { id: 3, name: 'Cy' };
+
+describe('createEntityAdapter', () => {
+  it('removes and updates numeric ids given as the string keys of entities', () => {
+    const adapter = createEntityAdapter();
+    const state = adapter.addMany(adapter.getInitialState(), [ada, bob, cy]);
+
+    const removed = adapter.removeMany(state, Object.keys(state.entities).slice(0, 1));
+    expect(removed.ids).toEqual([2, 3]);
+    expect(removed.entities).toEqual({ 2: bob, 3: cy });
+
+    const updated = adapter.updateOne(removed, { id: '2', changes: { name: 'Robert' } });
+    expect(updated.ids).toEqual([2, 3]);
+    expect(updated.entities[2]).toEqual({ id: 2, name: 'Robert' });
+  });
+
+  it('moves an entity whose update changed the id', () => {
+    const adapter = createEntityAdapter();
+    const state = adapter.addMany(adapter.getInitialState(), [ada, bob]);
+
+    const next = adapter.updateOne(state, { id: 1, changes: { id: 10 } });
+
+    expect(next.ids).toEqual([10, 2]);
+    expect(next.entities).toEqual({ 10: { id: 10, name: 'Ada' }, 2: bob });
+  });
+
+  it('keeps the ids sorted with sortComparer', () => {
+    const adapter = createEntityAdapter({ sortComparer: (a, b) => a.name.localeCompare(b.name) });
+    const state = adapter.addMany(adapter.getInitialState(), [cy, ada, bob]);
+    expect(state.ids).toEqual([1, 2, 3]);
+
+    const renamed = adapter.updateOne(state, { id: 1, changes: { name: 'Zoe' } });
+    expect(renamed.ids).toEqual([2, 3, 1]);
+
+    // the order didn't change, neither does the array
+    const unsorted = adapter.updateOne(renamed, { id: 2, changes: { age: 40 } });
+    expect(unsorted.ids).toBe(renamed.ids);
+  });
+
+  it('adds the new entities of upsertMany and merges the known ones', () => {
+    const adapter = createEntityAdapter({ selectId: user => user.login });
+    const state = adapter.setAll(adapter.getInitialState({ loading: false }), [
+      { login: 'ada', name: 'Ada', role: 'admin' }
+    ]);
+
+    const next = adapter.upsertMany(state, [
+      { login: 'ada', name: 'Ada Lovelace' },
+      { login: 'bob', name: 'Bob' }
+    ]);
+
+    expect(next).toEqual({
+      ids: ['ada', 'bob'],
+      entities: {
+        ada: { login: 'ada', name: 'Ada Lovelace', role: 'admin' },
+        bob: { login: 'bob', name: 'Bob' }
+      },
+      loading: false
+    });
+  });
+
+  it('works as the case reducers of a slice', () => {
+    const adapter = createEntityAdapter();
+    const users = createSlice({
+      name: 'users',
+      initialState: adapter.getInitialState(),
+      reducers: {
+        userAdded: adapter.addOne,
+        userRemoved: adapter.removeOne
+      }
+    });
+
+    const state = [users.actions.userAdded(ada), users.actions.userAdded(bob)]
+      .reduce(users.reducer, undefined);
+    const next = users.reducer(state, users.actions.userRemoved(1));
+
+    expect(next.ids).toEqual([2]);
+    expect(next.entities[2]).toBe(state.entities[2]);
+  });
+});
+
+describe('getSelectors', () => {
+  const adapter = createEntityAdapter();
+  const { selectAll, selectTotal, selectById, selectIds } =
+    adapter.getSelectors(state => state.users);
+
+  it('selects from the whole state tree', () => {
+    const state = { users: adapter.addMany(adapter.getInitialState(), [ada, bob]) };
+
+    expect(selectIds(state)).toEqual([1, 2]);
+    expect(selectAll(state)).toEqual([ada, bob]);
+    expect(selectTotal(state)).toBe(2);
+    expect(selectById(state, 2)).toBe(bob);
+  });
+
+  it('returns the same array until ids or entities change', () => {
+    const users = adapter.addMany(adapter.getInitialState(), [ada, bob]);
+    const state = { users, filter: 'all' };
+
+    const all = selectAll(state);
+    expect(selectAll({ ...state, filter: 'none' })).toBe(all);
+    expect(selectAll({ ...state, users: { ...users } })).toBe(all);
+
+    const next = { ...state, users: adapter.updateOne(users, { id: 1, changes: { name: 'Eve' } }) };
+    expect(selectAll(next)).not.toBe(all);
+    expect(selectAll(next)[0].name).toBe('Eve');
+  });
+});
@@ -0,0 +1,245 @@
+// development checks for the two mistakes connect can't see by itself
+//
+// const store = createStore(rootReducer, applyMiddleware(
+//   thunk,
+//   createImmutableStateInvariantMiddleware(),
+//   createSerializableCheckMiddleware({ ignoredPaths: ['router.history'] })
+// ))
+//
+// mutating the state in place keeps the old object reference, so makeStatefulSelector's
+// identity check (and the shallowEqual of the selectorFactory) decide nothing changed
+// and the container silently shows stale data. the immutability check keeps a deep copy
+// of the state and compares it to the real thing around every dispatch
+//
+// the serializable check flags what can't be sent through JSON: functions, promises and
+// class instances in actions or the state break persistState, syncTabs, the devTools
+// export and server rendering
+//
+// both walk the whole state tree on every dispatch, that's slow on purpose. in a
+// production build they are a middleware that only calls next
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+function passThroughMiddleware() {
+  return next => next;
+}
+
+// ignoredPaths match a path and everything below it, 'router' also ignores
+// 'router.location.state'
+function isIgnoredPath(ignoredPaths, path) {
+  return ignoredPaths.some(ignored => path === ignored || path.indexOf(`${ignored}.`) === 0);
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : String(key);
+}
+
+// primitives and frozen objects can't change in place, no need to look inside them
+function defaultIsImmutable(value) {
+  return typeof value !== 'object' || value === null || Object.isFrozen(value);
+}
+
+// a snapshot remembers every value of the tree together with its children, so the
+// snapshot still has the old values after somebody changed the objects in place
+function trackProperties(isImmutable, ignoredPaths, value, path = '') {
+  const tracked = { value };
+
+  if (!isImmutable(value)) {
+    tracked.children = {};
+    Object.keys(value).forEach(key => {
+      const childPath = joinPath(path, key);
+      if (isIgnoredPath(ignoredPaths, childPath)) return;
+      tracked.children[key] = trackProperties(isImmutable, ignoredPaths, value[key], childPath);
+    });
+  }
+
+  return tracked;
+}
+
+// a child that changed while its parent kept the same reference was mutated. a parent
+// that was replaced is fine, that's what reducers do, but its children are still
+// checked because a reducer may copy the parent and mutate a child it kept
+function detectMutations(isImmutable, ignoredPaths, tracked, value, sameParentRef, path = '') {
+  const previous = tracked ? tracked.value : undefined;
+  const sameRef = previous === value;
+
+  // NaN !== NaN, but it didn't change
+  const bothNaN = typeof value === 'number' && isNaN(value) && isNaN(previous);
+  if (sameParentRef && !sameRef && !bothNaN) {
+    return path;
+  }
+
+  if (isImmutable(previous) || isImmutable(value)) {
+    return null;
+  }
+
+  const keys = {};
+  Object.keys(tracked.children).forEach(key => {
+    keys[key] = true;
+  });
+  Object.keys(value).forEach(key => {
+    keys[key] = true;
+  });
+
+  const keyList = Object.keys(keys);
+  for (let i = 0; i < keyList.length; i++) {
+    const key = keyList[i];
+    const childPath = joinPath(path, key);
+    if (isIgnoredPath(ignoredPaths, childPath)) continue;
+
+    const mutatedPath = detectMutations(
+      isImmutable, ignoredPaths, tracked.children[key], value[key], sameRef, childPath
+    );
+    if (mutatedPath !== null) return mutatedPath;
+  }
+
+  return null;
+}
+
+function describePath(path) {
+  return path ? `the path '${path}'` : 'the root state';
+}
+
+// options:
+// ignoredPaths     state paths that are allowed to change in place, e.g. a cache
+// isImmutable(value)  true for values that don't need to be looked into
+export function createImmutableStateInvariantMiddleware(options = {}) {
+  if (isProduction) return passThroughMiddleware;
+
+  const { ignoredPaths = [], isImmutable = defaultIsImmutable } = options;
+
+  return ({ getState }) => {
+    let state = getState();
+    let tracked = trackProperties(isImmutable, ignoredPaths, state);
+
+    // the snapshot is compared once to the object it was taken from
+    function assertNotMutated(message) {
+      const mutatedPath = detectMutations(isImmutable, ignoredPaths, tracked, state, false);
+      if (mutatedPath !== null) {
+        throw new Error(`${message}, in ${describePath(mutatedPath)}.`);
+      }
+    }
+
+    return next => action => {
+      // something changed the state since the last dispatch, e.g. a component or a
+      // thunk that wrote into an object it got from getState
+      state = getState();
+      assertNotMutated(
+        'A state mutation was detected between dispatches. Create a new object ' +
+        'in a reducer instead'
+      );
+
+      const result = next(action);
+
+      // the reducer changed the previous state object instead of returning a new one
+      assertNotMutated(
+        'A state mutation was detected inside a dispatch. Take a look at the ' +
+        `reducer(s) handling the action ${String(action.type)}`
+      );
+
+      state = getState();
+      tracked = trackProperties(isImmutable, ignoredPaths, state);
+
+      return result;
+    }
+  }
+}
+
+// plain objects and arrays, strings, numbers, booleans, null and undefined survive a
+// trip through JSON.stringify and JSON.parse
+export function isPlain(value) {
+  const type = typeof value;
+  return (
+    value === undefined ||
+    value === null ||
+    type === 'string' ||
+    type === 'boolean' ||
+    type === 'number' ||
+    Array.isArray(value) ||
+    (type === 'object' && isPlainObject(value))
+  );
+}
+
+function isPlainObject(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === null || proto === Object.prototype;
+}
+
+// returns the first value that isn't serializable with its path, or null
+function findNonSerializableValue(value, path, isSerializable, ignoredPaths) {
+  if (!isSerializable(value)) {
+    return { path: path || '<root>', value };
+  }
+
+  if (typeof value !== 'object' || value === null) {
+    return null;
+  }
+
+  const keys = Object.keys(value);
+  for (let i = 0; i < keys.length; i++) {
+    const childPath = joinPath(path, keys[i]);
+    if (isIgnoredPath(ignoredPaths, childPath)) continue;
+
+    const found = findNonSerializableValue(value[keys[i]], childPath, isSerializable, ignoredPaths);
+    if (found) return found;
+  }
+
+  return null;
+}
+
+function describeValue(value) {
+  if (typeof value === 'function') return `a function (${value.name || 'anonymous'})`;
+  if (value && typeof value.then === 'function') return 'a Promise';
+  if (value && value.constructor && value.constructor.name) {
+    return `an instance of ${value.constructor.name}`;
+  }
+  return String(value);
+}
+
+// options:
+// ignoredActions       action types that aren't checked at all
+// ignoredActionPaths   paths inside actions that aren't checked, e.g. 'meta.error'
+// ignoredPaths         state paths that aren't checked
+// isSerializable(value)  replaces isPlain, e.g. to allow Dates
+// warn(message)        how a finding is reported (default console.error)
+//
+// findings are reported, not thrown: the action already reached the reducers
+export function createSerializableCheckMiddleware(options = {}) {
+  if (isProduction) return passThroughMiddleware;
+
+  const {
+    ignoredActions = [],
+    ignoredActionPaths = [],
+    ignoredPaths = [],
+    isSerializable = isPlain,
+    warn = message => console.error(message)
+  } = options;
+
+  return ({ getState }) => next => action => {
+    const result = next(action);
+
+    // thunks and other functions are the business of the middleware that handles them,
+    // they only arrive here when that middleware comes after this one
+    if (typeof action !== 'object' || action === null) return result;
+    if (ignoredActions.indexOf(action.type) !== -1) return result;
+
+    const inAction = findNonSerializableValue(action, '', isSerializable, ignoredActionPaths);
+    if (inAction) {
+      warn(
+        `A non-serializable value was detected in an action, in the path '${inAction.path}': ` +
+        `${describeValue(inAction.value)}. Action: ${String(action.type)}`
+      );
+    }
+
+    const inState = findNonSerializableValue(getState(), '', isSerializable, ignoredPaths);
+    if (inState) {
+      warn(
+        `A non-serializable value was detected in the state, in the path '${inState.path}': ` +
+        `${describeValue(inState.value)}. Take a look at the reducer(s) handling the ` +
+        `action ${String(action.type)}`
+      );
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,104 @@
+import { createStore, applyMiddleware } from './MyRedux';
+import {
+  createImmutableStateInvariantMiddleware,
+  createSerializableCheckMiddleware
+} from './MyInvariants';
+
+// TOGGLE mutates the first todo in place, the mistake the check is there for. every
+// store starts from a new initial state, so the mutations stay inside one test
+function todos(state = { todos: [{ text: 'write tests', done: false }], cache: {} }, action) {
+  switch (action.type) {
+    case 'TOGGLE':
+      state.todos[0].done = !state.todos[0].done;
+      return { ...state };
+    case 'CACHE':
+      state.cache[action.key] = action.value;
+      return state;
+    case 'SET':
+      return { ...state, [action.key]: action.value };
+    default:
+      return state;
+  }
+}
+
+function createCheckedStore(options) {
+  return createStore(todos, applyMiddleware(createImmutableStateInvariantMiddleware(options)));
+}
+
+describe('createImmutableStateInvariantMiddleware', () => {
+  it('names the path a reducer mutated', () => {
+    const store = createCheckedStore();
+
+    expect(() => store.dispatch({ type: 'TOGGLE' })).toThrow(
+      "A state mutation was detected inside a dispatch. Take a look at the reducer(s) " +
+      "handling the action TOGGLE, in the path 'todos.0.done'."
+    );
+  });
+
+  it('names the path that was mutated between dispatches', () => {
+    const store = createCheckedStore();
+    store.getState().todos[0].text = 'changed';
+
+    expect(() => store.dispatch({ type: 'SET', key: 'filter', value: 'all' })).toThrow(
+      /between dispatches.*in the path 'todos\.0\.text'/
+    );
+  });
+
+  it('lets state that is replaced instead of changed through', () => {
+    const store = createCheckedStore();
+
+    store.dispatch({ type: 'SET', key: 'todos', value: [] });
+    expect(store.getState().todos).toEqual([]);
+  });
+
+  it('ignores the ignored paths and everything below them', () => {
+    const store = createCheckedStore({ ignoredPaths: ['cache'] });
+
+    store.dispatch({ type: 'CACHE', key: 'user', value: { id: 1 } });
+    store.getState().cache.user.id = 2;
+    store.dispatch({ type: 'SET', key: 'filter', value: 'all' });
+
+    expect(store.getState().cache.user.id).toBe(2);
+  });
+});
+
+describe('createSerializableCheckMiddleware', () => {
+  function createWarningStore(options) {
+    const warn = jest.fn();
+    const store = createStore(
+      todos,
+      applyMiddleware(createSerializableCheckMiddleware({ warn, ...options }))
+    );
+    return { store, warn };
+  }
+
+  it('names the path of a value in the action and in the state', () => {
+    const { store, warn } = createWarningStore();
+
+    store.dispatch({ type: 'SET', key: 'loadedAt', value: new Date(0) });
+
+    expect(warn.mock.calls.map(([message]) => message)).toEqual([
+      "A non-serializable value was detected in an action, in the path 'value': " +
+      'an instance of Date. Action: SET',
+      "A non-serializable value was detected in the state, in the path 'loadedAt': " +
+      'an instance of Date. Take a look at the reducer(s) handling the action SET'
+    ]);
+  });
+
+  it('skips ignored actions, action paths and state paths', () => {
+    const { store, warn } = createWarningStore({
+      ignoredActions: ['IGNORED'],
+      ignoredActionPaths: ['meta.callback'],
+      ignoredPaths: ['cache']
+    });
+
+    store.dispatch({ type: 'IGNORED', value: () => {} });
+    store.dispatch({ type: 'PING', meta: { callback: () => {} } });
+    store.dispatch({ type: 'CACHE', key: 'request', value: Promise.resolve() });
+
+    expect(warn.mock.calls.map(([message]) => message)).toEqual([
+      "A non-serializable value was detected in an action, in the path 'value': a Promise. " +
+      'Action: CACHE'
+    ]);
+  });
+});
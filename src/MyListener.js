@@ -0,0 +1,391 @@
+// the listener middleware runs side effects in response to actions, after the reducers
+// handled them. unlike a thunk an effect can wait: for time, for a later action, or for
+// work it started in the background, and it can be cancelled while it waits
+//
+// const listener = createListenerMiddleware()
+// const store = createStore(reducer, applyMiddleware(thunk, listener.middleware))
+//
+// debounced search, every new keystroke cancels the effect that is still waiting
+// listener.startListening({
+//   type: 'SEARCH_CHANGED',
+//   effect: async (action, api) => {
+//     api.cancelActiveListeners()
+//     await api.delay(300)
+//     const results = await searchApi(action.query, { signal: api.signal })
+//     api.dispatch({ type: 'SEARCH_RESULTS', results })
+//   }
+// })
+//
+// polling from login until logout
+// listener.startListening({
+//   type: 'LOGIN',
+//   effect: async (action, api) => {
+//     const polling = api.fork(async forkApi => {
+//       for (;;) {
+//         await forkApi.delay(5000)
+//         api.dispatch(fetchNotifications())
+//       }
+//     })
+//     await api.take(action => action.type === 'LOGOUT')
+//     polling.cancel()
+//   }
+// })
+//
+// a cancelled effect is stopped at its next delay, take or pause: the promise rejects
+// with a TaskAbortError, which the middleware swallows. any other error goes to onError
+
+export const ActionTypes = {
+  ADD_LISTENER: '@@mylistener/ADD_LISTENER',
+  REMOVE_LISTENER: '@@mylistener/REMOVE_LISTENER',
+  CLEAR_LISTENERS: '@@mylistener/CLEAR_LISTENERS'
+}
+
+// listeners can also come and go through dispatch, e.g. from a component that doesn't
+// have the listener middleware object at hand. dispatch(addListener(...)) returns the
+// function that removes it again. these actions stop at the middleware
+export const ActionCreators = {
+  addListener: options => ({ type: ActionTypes.ADD_LISTENER, payload: options }),
+  removeListener: options => ({ type: ActionTypes.REMOVE_LISTENER, payload: options }),
+  clearListeners: () => ({ type: ActionTypes.CLEAR_LISTENERS })
+}
+
+function createTaskAbortError(reason) {
+  const err = new Error(`task cancelled (reason: ${reason})`);
+  err.name = 'TaskAbortError';
+  err.reason = reason;
+  return err;
+}
+
+export function isTaskAbortError(err) {
+  return Boolean(err) && err.name === 'TaskAbortError';
+}
+
+// the signal handed to effects is a real AbortSignal where the browser has one, so it
+// can be passed on to fetch. older browsers get an object with the same interface
+function createAbortController() {
+  if (typeof window !== 'undefined' && typeof window.AbortController === 'function') {
+    return new window.AbortController();
+  }
+
+  const listeners = [];
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => {
+      if (type === 'abort') listeners.push(listener);
+    },
+    removeEventListener: (type, listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    }
+  };
+
+  return {
+    signal,
+    abort() {
+      if (signal.aborted) return;
+      signal.aborted = true;
+      listeners.slice().forEach(listener => listener({ type: 'abort' }));
+    }
+  }
+}
+
+// a task is one running effect or fork. the reason is kept here because older
+// AbortSignals don't have one
+function createTask() {
+  const controller = createAbortController();
+  const task = {
+    signal: controller.signal,
+    reason: null,
+    abort(reason) {
+      if (task.signal.aborted) return;
+      task.reason = reason;
+      controller.abort();
+    }
+  };
+  return task;
+}
+
+// settles like promise, unless the task is cancelled first
+function abortable(task, promise) {
+  if (task.signal.aborted) {
+    return Promise.reject(createTaskAbortError(task.reason));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createTaskAbortError(task.reason));
+    task.signal.addEventListener('abort', onAbort);
+
+    promise.then(
+      value => {
+        task.signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      err => {
+        task.signal.removeEventListener('abort', onAbort);
+        reject(err);
+      }
+    );
+  });
+}
+
+function delay(task, ms) {
+  return abortable(task, new Promise(resolve => setTimeout(resolve, ms)));
+}
+
+// fork(executor) runs executor in the background, it is cancelled together with the
+// effect that forked it. result never rejects, it resolves with
+// { status: 'ok', value }, { status: 'rejected', error } or { status: 'cancelled', error }
+function fork(parentTask, executor) {
+  const task = createTask();
+  const cancelWithParent = () => task.abort('parent-cancelled');
+  parentTask.signal.addEventListener('abort', cancelWithParent);
+
+  const forkApi = {
+    signal: task.signal,
+    delay: ms => delay(task, ms),
+    // wait for any promise, but stop when the fork is cancelled
+    pause: promise => abortable(task, promise)
+  };
+
+  const result = Promise.resolve()
+    .then(() => {
+      if (task.signal.aborted) throw createTaskAbortError(task.reason);
+      return executor(forkApi);
+    })
+    .then(
+      value => {
+        if (task.signal.aborted) throw createTaskAbortError(task.reason);
+        return { status: 'ok', value };
+      }
+    )
+    .catch(error => ({
+      status: isTaskAbortError(error) ? 'cancelled' : 'rejected',
+      error
+    }))
+    .then(outcome => {
+      parentTask.signal.removeEventListener('abort', cancelWithParent);
+      task.abort('task-completed');
+      return outcome;
+    });
+
+  return {
+    result,
+    cancel: () => task.abort('task-cancelled')
+  }
+}
+
+// options take exactly one of actionCreator (anything with a type or a match method),
+// type or predicate(action, currentState, originalState)
+function createMatcher({ actionCreator, type, predicate }) {
+  if (actionCreator) {
+    return {
+      key: actionCreator,
+      match: typeof actionCreator.match === 'function'
+        ? action => actionCreator.match(action)
+        : action => action.type === actionCreator.type
+    };
+  }
+
+  if (type) {
+    return { key: type, match: action => action.type === type };
+  }
+
+  if (typeof predicate === 'function') {
+    return { key: predicate, match: predicate };
+  }
+
+  throw new Error(
+    'Listeners need an actionCreator, a type or a predicate to match actions against.'
+  );
+}
+
+// options:
+// onError(err, { raisedBy })   called with errors from effects and predicates, raisedBy
+//                              is 'effect' or 'predicate' (default console.error)
+export function createListenerMiddleware(options = {}) {
+  const { onError = err => console.error(err) } = options;
+
+  let listeners = [];
+  let takers = [];
+
+  function reportError(err, raisedBy) {
+    try {
+      onError(err, { raisedBy });
+    } catch (onErrorError) {
+      // a broken onError must not break the dispatch that triggered it
+      setTimeout(() => {
+        throw onErrorError;
+      });
+    }
+  }
+
+  function findListener(matcher, effect) {
+    return listeners.filter(entry => entry.key === matcher.key && entry.effect === effect)[0];
+  }
+
+  function cancelPending(entry, reason) {
+    entry.pending.slice().forEach(task => task.abort(reason));
+  }
+
+  // adding the same effect for the same match twice returns the first unsubscribe
+  function startListening(listenerOptions) {
+    if (!listenerOptions || typeof listenerOptions.effect !== 'function') {
+      throw new Error('startListening expects an effect function.');
+    }
+
+    const matcher = createMatcher(listenerOptions);
+    const existing = findListener(matcher, listenerOptions.effect);
+    if (existing) return existing.unsubscribe;
+
+    const entry = {
+      key: matcher.key,
+      match: matcher.match,
+      effect: listenerOptions.effect,
+      pending: []
+    };
+    entry.unsubscribe = () => {
+      listeners = listeners.filter(other => other !== entry);
+    };
+
+    listeners = listeners.concat([entry]);
+    return entry.unsubscribe;
+  }
+
+  // options are the ones passed to startListening, cancelActive also cancels the
+  // effects of that listener that are still running
+  function stopListening(listenerOptions) {
+    const entry = findListener(createMatcher(listenerOptions), listenerOptions.effect);
+    if (!entry) return false;
+
+    entry.unsubscribe();
+    if (listenerOptions.cancelActive) cancelPending(entry, 'listener-cancelled');
+    return true;
+  }
+
+  function clearListeners() {
+    listeners.forEach(entry => cancelPending(entry, 'listener-cancelled'));
+    listeners = [];
+  }
+
+  // take resolves with [action, currentState, originalState] for the next matching
+  // action, or with null when timeout ms passed first
+  function take(task, predicate, timeout) {
+    let taker;
+    const next = new Promise(resolve => {
+      taker = { predicate, resolve };
+      takers = takers.concat([taker]);
+    });
+
+    let timeoutId = null;
+    const withTimeout = timeout === undefined
+      ? next
+      : Promise.race([next, new Promise(resolve => {
+        timeoutId = setTimeout(() => resolve(null), timeout);
+      })]);
+
+    // whichever way the take ends, it leaves neither a taker nor a timer behind
+    const cleanUp = () => {
+      takers = takers.filter(other => other !== taker);
+      if (timeoutId !== null) clearTimeout(timeoutId);
+    };
+
+    return abortable(task, withTimeout).then(
+      result => {
+        cleanUp();
+        return result;
+      },
+      err => {
+        cleanUp();
+        throw err;
+      }
+    );
+  }
+
+  function runEffect(entry, action, middlewareAPI, originalState) {
+    const task = createTask();
+    entry.pending = entry.pending.concat([task]);
+
+    const listenerApi = {
+      getState: middlewareAPI.getState,
+      getOriginalState: () => originalState,
+      dispatch: middlewareAPI.dispatch,
+      take: (predicate, timeout) => take(task, predicate, timeout),
+      delay: ms => delay(task, ms),
+      fork: executor => fork(task, executor),
+      signal: task.signal,
+      // cancels the other running effects of this listener, this one keeps going
+      cancelActiveListeners: () => {
+        entry.pending.filter(other => other !== task)
+          .forEach(other => other.abort('listener-cancelled'));
+      },
+      unsubscribe: entry.unsubscribe
+    };
+
+    let result;
+    try {
+      result = Promise.resolve(entry.effect(action, listenerApi));
+    } catch (err) {
+      result = Promise.reject(err);
+    }
+
+    result
+      .catch(err => {
+        if (!isTaskAbortError(err)) reportError(err, 'effect');
+      })
+      .then(() => {
+        // forks and takes the effect left behind stop with it
+        task.abort('listener-completed');
+        entry.pending = entry.pending.filter(other => other !== task);
+      });
+  }
+
+  function safeMatch(match, action, currentState, originalState) {
+    try {
+      return match(action, currentState, originalState);
+    } catch (err) {
+      reportError(err, 'predicate');
+      return false;
+    }
+  }
+
+  const middleware = middlewareAPI => next => action => {
+    if (action && action.type === ActionTypes.ADD_LISTENER) {
+      return startListening(action.payload);
+    }
+    if (action && action.type === ActionTypes.REMOVE_LISTENER) {
+      return stopListening(action.payload);
+    }
+    if (action && action.type === ActionTypes.CLEAR_LISTENERS) {
+      return clearListeners();
+    }
+
+    const originalState = middlewareAPI.getState();
+    const result = next(action);
+
+    // thunks and other functions are never matched
+    if (typeof action !== 'object' || action === null) return result;
+
+    const currentState = middlewareAPI.getState();
+
+    takers.forEach(taker => {
+      if (safeMatch(taker.predicate, action, currentState, originalState)) {
+        taker.resolve([action, currentState, originalState]);
+      }
+    });
+
+    listeners.forEach(entry => {
+      if (safeMatch(entry.match, action, currentState, originalState)) {
+        runEffect(entry, action, middlewareAPI, originalState);
+      }
+    });
+
+    return result;
+  }
+
+  return {
+    middleware,
+    startListening,
+    stopListening,
+    clearListeners
+  }
+}
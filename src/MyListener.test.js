@@ -0,0 +1,216 @@
+import { createStore, applyMiddleware } from './MyRedux';
+import { createListenerMiddleware } from './MyListener';
+import { flushPromises } from './MyTestUtils';
+
+function counter(state = 0, action) {
+  return action.type === 'INCREMENT' ? state + 1 : state;
+}
+
+const increment = () => ({ type: 'INCREMENT' });
+
+function setup(options) {
+  const listener = createListenerMiddleware(options);
+  const store = createStore(counter, applyMiddleware(listener.middleware));
+  return { listener, store };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('cancellation', () => {
+  it('lets only the last effect finish when each one cancels the others', async () => {
+    const { listener, store } = setup();
+    const finished = [];
+
+    listener.startListening({
+      type: 'SEARCH',
+      effect: async (action, api) => {
+        api.cancelActiveListeners();
+        await api.delay(300);
+        finished.push(action.query);
+      }
+    });
+
+    store.dispatch({ type: 'SEARCH', query: 'r' });
+    store.dispatch({ type: 'SEARCH', query: 're' });
+    store.dispatch({ type: 'SEARCH', query: 'red' });
+    await flushPromises();
+    jest.runTimersToTime(300);
+    await flushPromises();
+
+    expect(finished).toEqual(['red']);
+  });
+
+  it('stops the running effects with stopListening and cancelActive', async () => {
+    const { listener, store } = setup();
+    const effect = jest.fn(async (action, api) => {
+      await api.delay(100);
+      api.dispatch({ type: 'DONE' });
+    });
+    const seen = [];
+    listener.startListening({ predicate: () => true, effect: action => seen.push(action.type) });
+    listener.startListening({ type: 'INCREMENT', effect });
+
+    store.dispatch(increment());
+    listener.stopListening({ type: 'INCREMENT', effect, cancelActive: true });
+    await flushPromises();
+    jest.runTimersToTime(100);
+    await flushPromises();
+
+    expect(effect).toHaveBeenCalledTimes(1);
+    expect(seen).toEqual(['INCREMENT']);
+  });
+});
+
+describe('take', () => {
+  it('resolves with the next matching action and both states', async () => {
+    const { listener, store } = setup();
+    let taken;
+
+    listener.startListening({
+      type: 'START',
+      effect: async (action, api) => {
+        taken = await api.take(next => next.type === 'INCREMENT');
+      }
+    });
+
+    store.dispatch({ type: 'START' });
+    store.dispatch(increment());
+    await flushPromises();
+
+    expect(taken).toEqual([increment(), 1, 0]);
+  });
+
+  it('resolves with null when the timeout passes first', async () => {
+    const { listener, store } = setup();
+    let taken;
+
+    listener.startListening({
+      type: 'START',
+      effect: async (action, api) => {
+        taken = await api.take(next => next.type === 'INCREMENT', 500);
+      }
+    });
+
+    store.dispatch({ type: 'START' });
+    await flushPromises();
+    jest.runTimersToTime(500);
+    await flushPromises();
+    store.dispatch(increment());
+    await flushPromises();
+
+    expect(taken).toBe(null);
+  });
+
+  it('clears its timer when the action comes first', async () => {
+    const { listener, store } = setup();
+
+    listener.startListening({
+      type: 'START',
+      effect: (action, api) => api.take(next => next.type === 'INCREMENT', 500)
+    });
+
+    store.dispatch({ type: 'START' });
+    await flushPromises();
+    clearTimeout.mockClear();
+
+    store.dispatch(increment());
+    await flushPromises();
+
+    expect(clearTimeout).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('fork', () => {
+  it('reports the outcome of every fork', async () => {
+    const { listener, store } = setup();
+    const outcomes = [];
+
+    listener.startListening({
+      type: 'START',
+      effect: async (action, api) => {
+        const ok = api.fork(() => 'value');
+        const failing = api.fork(() => {
+          throw new Error('broken');
+        });
+        const slow = api.fork(forkApi => forkApi.delay(1000));
+        slow.cancel();
+
+        outcomes.push(await ok.result, await failing.result, await slow.result);
+      }
+    });
+
+    store.dispatch({ type: 'START' });
+    await flushPromises();
+
+    expect(outcomes.map(outcome => outcome.status)).toEqual(['ok', 'rejected', 'cancelled']);
+    expect(outcomes[0].value).toBe('value');
+    expect(outcomes[1].error.message).toBe('broken');
+    expect(outcomes[2].error.name).toBe('TaskAbortError');
+  });
+
+  it('cancels the forks of an effect that was cancelled', async () => {
+    const { listener, store } = setup();
+    let outcome;
+
+    listener.startListening({
+      type: 'START',
+      effect: async (action, api) => {
+        api.cancelActiveListeners();
+        const polling = api.fork(forkApi => forkApi.delay(1000));
+        if (action.first) outcome = polling.result;
+        await api.delay(2000);
+      }
+    });
+
+    store.dispatch({ type: 'START', first: true });
+    await flushPromises();
+    store.dispatch({ type: 'START' });
+    await flushPromises();
+
+    expect((await outcome).status).toBe('cancelled');
+  });
+});
+
+describe('onError', () => {
+  it('gets errors of effects and predicates, but not cancellations', async () => {
+    const onError = jest.fn();
+    const { listener, store } = setup({ onError });
+
+    listener.startListening({
+      type: 'INCREMENT',
+      effect: () => {
+        throw new Error('effect failed');
+      }
+    });
+    listener.startListening({
+      predicate: () => {
+        throw new Error('predicate failed');
+      },
+      effect: () => {}
+    });
+    listener.startListening({
+      type: 'INCREMENT',
+      effect: async (action, api) => {
+        api.cancelActiveListeners();
+        await api.delay(100);
+      }
+    });
+
+    store.dispatch(increment());
+    store.dispatch(increment());
+    await flushPromises();
+
+    expect(onError.mock.calls.map(([err, info]) => [err.message, info.raisedBy])).toEqual([
+      ['predicate failed', 'predicate'],
+      ['predicate failed', 'predicate'],
+      ['effect failed', 'effect'],
+      ['effect failed', 'effect']
+    ]);
+  });
+});
@@ -0,0 +1,349 @@
+import { REHYDRATE } from './MyPersist';
+import { applyMiddleware } from './MyRedux';
+
+// the offline middleware sends actions that need the server through a queue (the
+// outbox) instead of losing them when there is no connection. an action opts in with
+// meta.offline:
+//
+// {
+//   type: 'FOLLOW_USER',
+//   payload: { userId },
+//   meta: {
+//     offline: {
+//       effect: { url: `/api/follow/${userId}`, method: 'POST' },
+//       commit: { type: 'FOLLOW_USER_COMMIT', meta: { userId } },
+//       rollback: { type: 'FOLLOW_USER_ROLLBACK', meta: { userId } }
+//     }
+//   }
+// }
+//
+// the action itself reaches the reducers right away (the optimistic update), the effect
+// runs once the app is online. when it succeeds the commit action is dispatched with the
+// result as payload, when it fails for good the rollback action is dispatched with the
+// error as { name, message, status }, so the reducers can undo the optimistic update.
+// failures that may go away by themselves are retried with exponential backoff
+//
+// const store = createStore(
+//   combineReducers({ offline: offlineReducer, ...reducers }),
+//   compose(
+//     applyMiddleware(thunk),
+//     offline(),
+//     persistState({ key: 'root', storage: createLocalStorage(), whitelist: ['offline'] })
+//   )
+// )
+//
+// the queue lives in the store, so persisting the offline slice keeps queued actions
+// across reloads. persistState dispatches REHYDRATE on the store it wraps, below every
+// middleware, so the offline enhancer watches the store itself and starts sending as
+// soon as a saved outbox shows up. a store without persistState can use
+// applyMiddleware(createOfflineMiddleware()) instead
+
+export const ActionTypes = {
+  ENQUEUE: '@@myoffline/ENQUEUE',
+  DEQUEUE: '@@myoffline/DEQUEUE',
+  SCHEDULE_RETRY: '@@myoffline/SCHEDULE_RETRY',
+  NETWORK_STATUS_CHANGED: '@@myoffline/NETWORK_STATUS_CHANGED'
+}
+
+export const ActionCreators = {
+  // dispatch it yourself when something else knows better than the browser events,
+  // e.g. the service worker or a failing health check
+  networkStatusChanged: online => ({ type: ActionTypes.NETWORK_STATUS_CHANGED, online })
+}
+
+const initialState = {
+  online: true,
+  outbox: [],
+  retryCount: 0,
+  lastError: null
+}
+
+// lastError is kept as a message so the slice stays serializable for persistState
+export function offlineReducer(state = initialState, action) {
+  switch (action.type) {
+    case ActionTypes.ENQUEUE:
+      return { ...state, outbox: state.outbox.concat([action.payload]) };
+
+    case ActionTypes.DEQUEUE:
+      return {
+        ...state,
+        outbox: state.outbox.slice(1),
+        retryCount: 0,
+        lastError: action.error ? action.payload : null
+      };
+
+    case ActionTypes.SCHEDULE_RETRY:
+      return { ...state, retryCount: state.retryCount + 1, lastError: action.payload };
+
+    case ActionTypes.NETWORK_STATUS_CHANGED:
+      if (action.online === state.online) return state;
+      return { ...state, online: action.online };
+
+    default:
+      return state;
+  }
+}
+
+// what a container usually wants to show: "3 changes waiting to be saved"
+export const selectPendingCount = offlineState => offlineState.outbox.length;
+
+// the default effect is a fetch of { url, method, headers, body }, a body that isn't a
+// string is sent as JSON. a response outside 2xx rejects with an error carrying status
+function fetchEffect(effect) {
+  const { url, method = 'GET', headers = {}, body } = effect;
+  const isJson = body !== undefined && typeof body !== 'string';
+
+  return fetch(url, {
+    method,
+    headers: isJson ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: isJson ? JSON.stringify(body) : body
+  }).then(response => {
+    if (!response.ok) {
+      const err = new Error(`${method} ${url} failed with status ${response.status}`);
+      err.status = response.status;
+      throw err;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    return contentType.indexOf('application/json') !== -1 ? response.json() : response.text();
+  });
+}
+
+// a 4xx won't get better by sending the same request again, everything else (no
+// connection, timeouts, 5xx) is worth a retry
+function defaultDiscard(err) {
+  return Boolean(err && err.status >= 400 && err.status < 500);
+}
+
+// the rollback payload ends up in the state and the persisted outbox, an Error instance
+// would be flagged by the serializable check and lost by JSON
+function serializeError(err) {
+  const serialized = {
+    name: (err && err.name) || 'Error',
+    message: (err && err.message) || String(err)
+  };
+  if (err && err.status !== undefined) serialized.status = err.status;
+  return serialized;
+}
+
+function defaultRetryDelay(retryCount) {
+  return Math.min(1000 * Math.pow(2, retryCount), 60000);
+}
+
+// the browser's online and offline events, returns a function that stops listening
+function detectNetwork(callback) {
+  if (typeof window === 'undefined' || !window.addEventListener) {
+    return () => {};
+  }
+
+  const handleOnline = () => callback(true);
+  const handleOffline = () => callback(false);
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+
+  if (typeof navigator !== 'undefined' && typeof navigator.onLine === 'boolean') {
+    callback(navigator.onLine);
+  }
+
+  return () => {
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+  }
+}
+
+// the outbox of one store: sends its first action whenever the store is online and
+// nothing else is in flight. middleware handles the actions passing through dispatch
+function createOutbox({ dispatch, getState }, options) {
+  const {
+    effect = fetchEffect,
+    discard = defaultDiscard,
+    retryDelay = defaultRetryDelay,
+    maxRetries = 10,
+    detectNetwork: detect = detectNetwork,
+    selectOfflineState = state => state.offline,
+    onError = err => console.error(err)
+  } = options;
+
+  // only one effect is in flight at a time, the outbox keeps the order of the actions
+  let busy = false;
+  let retryTimeout = null;
+  // what detectNetwork reported last, null until it reported anything
+  let detectedOnline = null;
+  // actions the middleware is passing on, changes of the state outside of them came
+  // from below the middleware
+  let dispatchDepth = 0;
+
+  function getOfflineState() {
+    const offlineState = selectOfflineState(getState());
+    if (!offlineState || !Array.isArray(offlineState.outbox)) {
+      throw new Error(
+        'The offline middleware could not find its state. Mount offlineReducer ' +
+        'under "offline" or pass selectOfflineState to createOfflineMiddleware or offline.'
+      );
+    }
+    return offlineState;
+  }
+
+  function finish(resultAction) {
+    busy = false;
+    if (resultAction) dispatch(resultAction);
+    processOutbox();
+  }
+
+  function send(action, retryCount) {
+    const { effect: effectDescriptor, commit, rollback } = action.meta.offline;
+    busy = true;
+
+    Promise.resolve()
+      .then(() => effect(effectDescriptor, action))
+      .then(
+        result => {
+          dispatch({ type: ActionTypes.DEQUEUE, payload: null });
+          finish(commit && {
+            ...commit,
+            payload: result,
+            meta: { ...commit.meta, offlineAction: action }
+          });
+        },
+        err => {
+          const error = serializeError(err);
+
+          if (discard(err, action, retryCount) || retryCount >= maxRetries) {
+            dispatch({ type: ActionTypes.DEQUEUE, payload: error.message, error: true });
+            finish(rollback && {
+              ...rollback,
+              payload: error,
+              error: true,
+              meta: { ...rollback.meta, offlineAction: action }
+            });
+            return;
+          }
+
+          dispatch({ type: ActionTypes.SCHEDULE_RETRY, payload: error.message });
+          busy = false;
+          retryTimeout = setTimeout(() => {
+            retryTimeout = null;
+            processOutbox();
+          }, retryDelay(retryCount));
+        }
+      )
+      .catch(err => {
+        // a reducer threw on the commit, rollback or queue actions. the outbox isn't
+        // stuck, it goes on with the next action or network change
+        busy = false;
+        onError(err);
+      });
+  }
+
+  function processOutbox() {
+    if (busy || retryTimeout !== null) return;
+
+    const { online, outbox, retryCount } = getOfflineState();
+    if (!online || outbox.length === 0) return;
+
+    send(outbox[0], retryCount);
+  }
+
+  // coming back online doesn't wait for the pending backoff
+  function retryNow() {
+    if (retryTimeout !== null) {
+      clearTimeout(retryTimeout);
+      retryTimeout = null;
+    }
+    processOutbox();
+  }
+
+  // a rehydrated slice brings the online flag of the last session along, the network
+  // status detected in this one wins
+  function restoreNetworkStatus() {
+    if (detectedOnline !== null && getOfflineState().online !== detectedOnline) {
+      dispatch(ActionCreators.networkStatusChanged(detectedOnline));
+    }
+  }
+
+  // called by the offline enhancer on every change of the store
+  function handleStoreChange() {
+    if (dispatchDepth > 0) return;
+
+    restoreNetworkStatus();
+    processOutbox();
+  }
+
+  // dispatching isn't allowed while applyMiddleware is still building the chain, so
+  // listening starts right after it
+  Promise.resolve().then(() => {
+    detect(online => {
+      detectedOnline = online;
+      restoreNetworkStatus();
+    });
+    processOutbox();
+  });
+
+  const middleware = next => action => {
+    const isOffline = action && action.meta && action.meta.offline;
+
+    // checked before the optimistic update, an action that can't be sent must not
+    // change the state either
+    if (isOffline && !action.meta.offline.effect) {
+      throw new Error(`The offline action ${String(action.type)} is missing meta.offline.effect.`);
+    }
+
+    let result;
+    dispatchDepth++;
+    try {
+      result = next(action);
+    } finally {
+      dispatchDepth--;
+    }
+
+    if (isOffline) {
+      dispatch({ type: ActionTypes.ENQUEUE, payload: action });
+      processOutbox();
+    } else if (action.type === ActionTypes.NETWORK_STATUS_CHANGED) {
+      if (action.online) retryNow();
+    } else if (action.type === REHYDRATE) {
+      // a saved outbox just came back
+      restoreNetworkStatus();
+      processOutbox();
+    }
+
+    return result;
+  };
+
+  return { middleware, handleStoreChange };
+}
+
+// options:
+// effect(effect, action)     sends one effect and returns a promise, the fetch above by
+//                            default. tests pass a fake network function here
+// discard(err, action, retryCount)
+//                            true when the error is final and the action rolls back
+// retryDelay(retryCount)     ms to wait before the next try (default 1s, 2s, 4s, ... 1min)
+// maxRetries                 give up and roll back after that many retries (default 10)
+// detectNetwork(callback)    calls callback(online) on every change, returns a cleanup
+// selectOfflineState(state)  where offlineReducer is mounted (default state.offline)
+// onError(err)               called when a reducer throws on an action of the outbox
+//                            (default console.error)
+export function createOfflineMiddleware(options = {}) {
+  return middlewareAPI => createOutbox(middlewareAPI, options).middleware;
+}
+
+// the same as applyMiddleware(createOfflineMiddleware(options)), and it also handles
+// what reaches the state without passing the middleware, e.g. a REHYDRATE of an inner
+// persistState: it sends the saved outbox and keeps the detected network status
+export function offline(options = {}) {
+  return createStore => (...args) => {
+    let outbox;
+    const captureOutbox = middlewareAPI => {
+      outbox = createOutbox(middlewareAPI, options);
+      return outbox.middleware;
+    };
+    const store = applyMiddleware(captureOutbox)(createStore)(...args);
+
+    // the actions passing the middleware are handled there, the subscription catches
+    // what was dispatched below it
+    store.subscribe(outbox.handleStoreChange);
+
+    return store;
+  }
+}
@@ -0,0 +1,201 @@
+import { createStore, combineReducers, applyMiddleware, compose } from './MyRedux';
+import { createMemoryStorage, persistState } from './MyPersist';
+import { offline, offlineReducer, createOfflineMiddleware } from './MyOffline';
+import { flushPromises } from './MyTestUtils';
+
+const follow = userId => ({
+  type: 'FOLLOW_USER',
+  payload: { userId },
+  meta: {
+    offline: {
+      effect: { url: `/api/follow/${userId}`, method: 'POST' },
+      commit: { type: 'FOLLOW_USER_COMMIT' }
+    }
+  }
+});
+
+function following(state = [], action) {
+  return action.type === 'FOLLOW_USER' ? state.concat([action.payload.userId]) : state;
+}
+
+const reducer = combineReducers({ offline: offlineReducer, following });
+
+// a network that records every effect and always answers
+function createFakeNetwork() {
+  const sent = [];
+  return {
+    sent,
+    effect: effect => {
+      sent.push(effect.url);
+      return Promise.resolve({ ok: true });
+    }
+  };
+}
+
+describe('offline', () => {
+  it('sends an outbox that an inner persistState rehydrated', async () => {
+    const saved = { ...offlineReducer(undefined, { type: '@@INIT' }), outbox: [follow(1)] };
+    const storage = createMemoryStorage({
+      'persist:root': JSON.stringify({ _persist: { version: -1 }, offline: saved })
+    });
+    const network = createFakeNetwork();
+
+    const store = createStore(
+      reducer,
+      compose(
+        offline({ effect: network.effect, detectNetwork: () => () => {} }),
+        persistState({ key: 'root', storage, whitelist: ['offline'] })
+      )
+    );
+    await flushPromises();
+
+    expect(network.sent).toEqual(['/api/follow/1']);
+    expect(store.getState().offline.outbox).toEqual([]);
+  });
+
+  it('keeps the detected network status over the rehydrated one', async () => {
+    // saved while online, the app starts again without a network
+    const saved = { ...offlineReducer(undefined, { type: '@@INIT' }), outbox: [follow(1)] };
+    const storage = createMemoryStorage({
+      'persist:root': JSON.stringify({ _persist: { version: -1 }, offline: saved })
+    });
+    const network = createFakeNetwork();
+    let reportNetwork;
+
+    const store = createStore(
+      reducer,
+      compose(
+        offline({
+          effect: network.effect,
+          detectNetwork: callback => {
+            reportNetwork = callback;
+            callback(false);
+            return () => {};
+          }
+        }),
+        persistState({ key: 'root', storage, whitelist: ['offline'] })
+      )
+    );
+    await flushPromises();
+
+    expect(store.getState().offline.online).toBe(false);
+    expect(store.getState().offline.outbox.length).toBe(1);
+    expect(network.sent).toEqual([]);
+
+    reportNetwork(true);
+    await flushPromises();
+    expect(network.sent).toEqual(['/api/follow/1']);
+  });
+
+  it('sends offline actions in the order they were dispatched', async () => {
+    const network = createFakeNetwork();
+    const store = createStore(
+      reducer,
+      offline({ effect: network.effect, detectNetwork: () => () => {} })
+    );
+
+    store.dispatch(follow(1));
+    store.dispatch(follow(2));
+    expect(store.getState().following).toEqual([1, 2]);
+    await flushPromises();
+
+    expect(network.sent).toEqual(['/api/follow/1', '/api/follow/2']);
+    expect(store.getState().offline.outbox).toEqual([]);
+  });
+});
+
+describe('createOfflineMiddleware', () => {
+  it('rejects an offline action without an effect before the optimistic update', () => {
+    const store = createStore(
+      reducer,
+      applyMiddleware(createOfflineMiddleware({ detectNetwork: () => () => {} }))
+    );
+    const broken = { ...follow(1), meta: { offline: { commit: { type: 'FOLLOW_USER_COMMIT' } } } };
+
+    expect(() => store.dispatch(broken)).toThrow(/missing meta.offline.effect/);
+    expect(store.getState().following).toEqual([]);
+    expect(store.getState().offline.outbox).toEqual([]);
+  });
+
+  it('keeps the outbox while offline and sends it when the network is back', async () => {
+    const network = createFakeNetwork();
+    let reportNetwork;
+    const store = createStore(
+      reducer,
+      applyMiddleware(createOfflineMiddleware({
+        effect: network.effect,
+        detectNetwork: callback => {
+          reportNetwork = callback;
+          callback(false);
+          return () => {};
+        }
+      }))
+    );
+    await flushPromises();
+
+    store.dispatch(follow(1));
+    await flushPromises();
+    expect(network.sent).toEqual([]);
+
+    reportNetwork(true);
+    await flushPromises();
+    expect(network.sent).toEqual(['/api/follow/1']);
+    expect(store.getState().offline.online).toBe(true);
+  });
+
+  it('rolls back with a serializable error', async () => {
+    const rollbacks = [];
+    const store = createStore(
+      (state, action) => {
+        if (action.type === 'FOLLOW_USER_ROLLBACK') rollbacks.push(action);
+        return reducer(state, action);
+      },
+      applyMiddleware(createOfflineMiddleware({
+        effect: () => {
+          const err = new Error('POST /api/follow/1 failed with status 404');
+          err.status = 404;
+          return Promise.reject(err);
+        },
+        detectNetwork: () => () => {}
+      }))
+    );
+    const action = follow(1);
+    action.meta.offline.rollback = { type: 'FOLLOW_USER_ROLLBACK' };
+
+    store.dispatch(action);
+    await flushPromises();
+
+    expect(rollbacks.length).toBe(1);
+    expect(rollbacks[0].payload).toEqual({
+      name: 'Error',
+      message: 'POST /api/follow/1 failed with status 404',
+      status: 404
+    });
+    expect(store.getState().offline.lastError).toBe('POST /api/follow/1 failed with status 404');
+  });
+
+  it('reports a reducer that throws on the commit and goes on with the outbox', async () => {
+    const network = createFakeNetwork();
+    const onError = jest.fn();
+    const store = createStore(
+      (state, action) => {
+        if (action.type === 'FOLLOW_USER_COMMIT') throw new Error('broken reducer');
+        return reducer(state, action);
+      },
+      applyMiddleware(createOfflineMiddleware({
+        effect: network.effect,
+        detectNetwork: () => () => {},
+        onError
+      }))
+    );
+
+    store.dispatch(follow(1));
+    await flushPromises();
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].message).toBe('broken reducer');
+
+    store.dispatch(follow(2));
+    await flushPromises();
+    expect(network.sent).toEqual(['/api/follow/1', '/api/follow/2']);
+  });
+});
@@ -0,0 +1,330 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// persistState is a store enhancer that saves selected slices of the state tree to a
+// storage backend and puts them back (rehydrates) when the app starts again
+//
+// const store = createStore(rootReducer, persistState({
+//   key: 'root',
+//   storage: createLocalStorage(),
+//   version: 2,
+//   migrations: { 1: state => ..., 2: state => ... },
+//   whitelist: ['settings', 'cart'],
+//   throttle: 500
+// }))
+//
+// <Provider store={store}>
+//   <PersistGate persistor={store.persistor} loading={<Spinner />}>
+//     <App />
+//   </PersistGate>
+// </Provider>
+//
+// reading the storage is async, so the store starts with the initial state and the
+// REHYDRATE action merges the saved slices in once they arrive. PersistGate holds the
+// app back until then, so no container renders (or subscribes) with the initial state
+// first. writes only start after rehydrating, otherwise the initial state would
+// overwrite what was saved
+
+export const REHYDRATE = '@@mypersist/REHYDRATE';
+
+const KEY_PREFIX = 'persist:';
+
+// storage backends all have the same promise based interface:
+// getItem(key) => Promise<string|null>, setItem(key, string), removeItem(key)
+
+// localStorage can be missing or throw (private mode, quota), the promises reject then
+// and the enhancer reports it instead of crashing the app
+export function createLocalStorage(storage) {
+  function getStorage() {
+    const target = storage || (typeof window !== 'undefined' && window.localStorage);
+    if (!target) {
+      throw new Error('localStorage is not available in this environment.');
+    }
+    return target;
+  }
+
+  return {
+    getItem: key => new Promise(resolve => resolve(getStorage().getItem(key))),
+    setItem: (key, value) => new Promise(resolve => resolve(getStorage().setItem(key, value))),
+    removeItem: key => new Promise(resolve => resolve(getStorage().removeItem(key)))
+  }
+}
+
+// keeps everything in a plain object, meant for tests. initialItems pretends something
+// was saved before, e.g. by an older version of the app
+export function createMemoryStorage(initialItems = {}) {
+  const items = { ...initialItems };
+
+  return {
+    items,
+    getItem: key => Promise.resolve(items.hasOwnProperty(key) ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = value;
+      return Promise.resolve();
+    },
+    removeItem: key => {
+      delete items[key];
+      return Promise.resolve();
+    }
+  }
+}
+
+// a transform changes one or more slices on their way in and out of the storage, e.g.
+// to drop a cache, encrypt a token or turn a Date back into a Date
+//
+// createTransform(
+//   (slice, key) => ({ ...slice, results: undefined }),   inbound, before saving
+//   (slice, key) => slice,                                outbound, when rehydrating
+//   { whitelist: ['search'] }
+// )
+export function createTransform(inbound, outbound, { whitelist, blacklist } = {}) {
+  function appliesTo(key) {
+    if (whitelist && whitelist.indexOf(key) === -1) return false;
+    if (blacklist && blacklist.indexOf(key) !== -1) return false;
+    return true;
+  }
+
+  return {
+    in: (slice, key) => (inbound && appliesTo(key) ? inbound(slice, key) : slice),
+    out: (slice, key) => (outbound && appliesTo(key) ? outbound(slice, key) : slice)
+  }
+}
+
+// runs every migration above the stored version up to the current one, in order. the
+// stored version of a state saved before versioning existed is -1
+function migrate(state, migrations, storedVersion, currentVersion) {
+  if (!migrations || storedVersion >= currentVersion) return state;
+
+  return Object.keys(migrations)
+    .map(Number)
+    .filter(version => version > storedVersion && version <= currentVersion)
+    .sort((a, b) => a - b)
+    .reduce((migratedState, version) => migrations[version](migratedState), state);
+}
+
+export function persistState(config) {
+  const {
+    key,
+    storage,
+    version = -1,
+    migrations,
+    whitelist,
+    blacklist,
+    transforms = [],
+    throttle = 0,
+    serialize = JSON.stringify,
+    deserialize = JSON.parse,
+    onError = err => console.error(err)
+  } = config || {};
+
+  if (!key || !storage) {
+    throw new Error('persistState expects a config with a key and a storage.');
+  }
+
+  const storageKey = `${KEY_PREFIX}${key}`;
+
+  function shouldPersistSlice(sliceKey) {
+    if (whitelist && whitelist.indexOf(sliceKey) === -1) return false;
+    if (blacklist && blacklist.indexOf(sliceKey) !== -1) return false;
+    return true;
+  }
+
+  // the REHYDRATE action merges the saved slices into the current state, one level
+  // deep, and only for slices the reducer knows about
+  function liftReducer(reducer) {
+    return function persistedReducer(state, action) {
+      const nextState = reducer(state, action);
+      if (action.type !== REHYDRATE || action.key !== key || !action.payload) {
+        return nextState;
+      }
+      // a root state that isn't an object has no slices to put the saved ones into
+      if (nextState === null || typeof nextState !== 'object') {
+        return nextState;
+      }
+
+      const rehydrated = { ...nextState };
+      Object.keys(action.payload).forEach(sliceKey => {
+        if (sliceKey in nextState && shouldPersistSlice(sliceKey)) {
+          rehydrated[sliceKey] = action.payload[sliceKey];
+        }
+      });
+      return rehydrated;
+    }
+  }
+
+  return createStore => (reducer, preloadedState, enhancer) => {
+    const store = createStore(liftReducer(reducer), preloadedState, enhancer);
+
+    let rehydrated = false;
+    let paused = false;
+    let lastError = null;
+    let lastWrittenState;
+    let writeTimeout = null;
+    const persistorListeners = [];
+
+    function notifyPersistor() {
+      persistorListeners.slice().forEach(listener => listener());
+    }
+
+    function writeState() {
+      writeTimeout = null;
+      const state = store.getState();
+      if (state === lastWrittenState) return Promise.resolve();
+      lastWrittenState = state;
+
+      const saved = { _persist: { version } };
+      Object.keys(state).filter(shouldPersistSlice).forEach(sliceKey => {
+        saved[sliceKey] = transforms.reduce(
+          (slice, transform) => transform.in(slice, sliceKey),
+          state[sliceKey]
+        );
+      });
+
+      return Promise.resolve()
+        .then(() => storage.setItem(storageKey, serialize(saved)))
+        .catch(err => {
+          lastError = err;
+          onError(err);
+        });
+    }
+
+    // a burst of dispatches becomes one write with the latest state
+    function scheduleWrite() {
+      if (!rehydrated || paused) return;
+
+      if (throttle <= 0) {
+        writeState();
+      } else if (writeTimeout === null) {
+        writeTimeout = setTimeout(writeState, throttle);
+      }
+    }
+
+    store.subscribe(scheduleWrite);
+
+    function rehydrate(payload) {
+      store.dispatch({ type: REHYDRATE, key, payload, error: lastError });
+      // what was just loaded is what the storage holds, no need to write it back
+      rehydrated = true;
+      lastWrittenState = store.getState();
+      notifyPersistor();
+    }
+
+    Promise.resolve()
+      .then(() => storage.getItem(storageKey))
+      .then(serialized => {
+        if (serialized === null || serialized === undefined) return rehydrate(undefined);
+
+        const { _persist: meta, ...saved } = deserialize(serialized);
+        const storedVersion = meta && meta.version !== undefined ? meta.version : -1;
+        const migrated = migrate(saved, migrations, storedVersion, version);
+
+        const payload = {};
+        Object.keys(migrated).filter(shouldPersistSlice).forEach(sliceKey => {
+          payload[sliceKey] = transforms.reduceRight(
+            (slice, transform) => transform.out(slice, sliceKey),
+            migrated[sliceKey]
+          );
+        });
+        rehydrate(payload);
+      })
+      .catch(err => {
+        // a broken or unreadable entry shouldn't keep the app behind the PersistGate
+        lastError = err;
+        onError(err);
+        if (!rehydrated) rehydrate(undefined);
+      });
+
+    const persistor = {
+      getState: () => ({ rehydrated, paused, error: lastError }),
+
+      subscribe(listener) {
+        persistorListeners.push(listener);
+        return () => {
+          const index = persistorListeners.indexOf(listener);
+          if (index !== -1) persistorListeners.splice(index, 1);
+        }
+      },
+
+      // write right away instead of waiting for the throttle, e.g. before the page unloads
+      flush() {
+        if (writeTimeout !== null) clearTimeout(writeTimeout);
+        return rehydrated ? writeState() : Promise.resolve();
+      },
+
+      pause() {
+        paused = true;
+        notifyPersistor();
+      },
+
+      resume() {
+        paused = false;
+        notifyPersistor();
+        scheduleWrite();
+      },
+
+      // forget what was saved, e.g. on logout
+      purge() {
+        if (writeTimeout !== null) clearTimeout(writeTimeout);
+        writeTimeout = null;
+        return Promise.resolve(storage.removeItem(storageKey));
+      }
+    }
+
+    return {
+      ...store,
+      replaceReducer: nextReducer => store.replaceReducer(liftReducer(nextReducer)),
+      persistor
+    }
+  }
+}
+
+// PersistGate renders loading (or nothing) until the persistor rehydrated the store,
+// the children only mount once the saved state is in. children can also be a function
+// of the rehydrated flag to render a skeleton of the app instead
+export class PersistGate extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { rehydrated: props.persistor.getState().rehydrated };
+    this.handlePersistorState = this.handlePersistorState.bind(this);
+  }
+
+  componentDidMount() {
+    this.unsubscribe = this.props.persistor.subscribe(this.handlePersistorState);
+    // it may have rehydrated between the constructor and now
+    this.handlePersistorState();
+  }
+
+  componentWillUnmount() {
+    if (this.unsubscribe) this.unsubscribe();
+  }
+
+  handlePersistorState() {
+    const { rehydrated } = this.props.persistor.getState();
+    if (rehydrated !== this.state.rehydrated) {
+      this.setState({ rehydrated });
+    }
+  }
+
+  render() {
+    const { children, loading } = this.props;
+
+    if (typeof children === 'function') {
+      return children(this.state.rehydrated);
+    }
+
+    return this.state.rehydrated ? children : loading;
+  }
+}
+
+PersistGate.propTypes = {
+  persistor: PropTypes.shape({
+    getState: PropTypes.func.isRequired,
+    subscribe: PropTypes.func.isRequired
+  }).isRequired,
+  loading: PropTypes.node,
+  children: PropTypes.oneOfType([PropTypes.node, PropTypes.func])
+}
+
+PersistGate.defaultProps = {
+  loading: null
+}
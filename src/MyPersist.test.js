@@ -0,0 +1,237 @@
+import React from 'react';
+import { act } from 'react-dom/test-utils';
+import { createStore, combineReducers } from './MyRedux';
+import {
+  persistState,
+  createMemoryStorage,
+  createTransform,
+  PersistGate,
+  REHYDRATE
+} from './MyPersist';
+import { renderWithStore, flushPromises } from './MyTestUtils';
+
+function settings(state = { theme: 'light' }, action) {
+  return action.type === 'SET_THEME' ? { ...state, theme: action.theme } : state;
+}
+
+function cart(state = [], action) {
+  return action.type === 'ADD_TO_CART' ? state.concat([action.item]) : state;
+}
+
+function session(state = { token: null }, action) {
+  return action.type === 'LOGIN' ? { token: action.token } : state;
+}
+
+const reducer = combineReducers({ settings, cart, session });
+
+// what an earlier session left in the storage under the key root
+function savedStorage(saved) {
+  return createMemoryStorage({ 'persist:root': JSON.stringify(saved) });
+}
+
+function readSaved(storage) {
+  return JSON.parse(storage.items['persist:root']);
+}
+
+describe('rehydrating', () => {
+  it('runs the migrations above the stored version in order', async () => {
+    const storage = savedStorage({ _persist: { version: 1 }, settings: { color: 'dark' } });
+    const migrations = {
+      1: () => {
+        throw new Error('already applied');
+      },
+      2: state => ({ ...state, settings: { theme: state.settings.color } }),
+      3: state => ({ ...state, settings: { ...state.settings, migrated: true } })
+    };
+
+    const store = createStore(
+      reducer,
+      persistState({ key: 'root', storage, version: 3, migrations })
+    );
+    await flushPromises();
+
+    expect(store.getState().settings).toEqual({ theme: 'dark', migrated: true });
+    expect(store.persistor.getState().rehydrated).toBe(true);
+  });
+
+  it('only rehydrates and saves the whitelisted slices', async () => {
+    const storage = savedStorage({
+      _persist: { version: -1 },
+      settings: { theme: 'dark' },
+      session: { token: 'stale' }
+    });
+
+    const store = createStore(
+      reducer,
+      persistState({ key: 'root', storage, whitelist: ['settings', 'cart'] })
+    );
+    await flushPromises();
+    expect(store.getState().settings).toEqual({ theme: 'dark' });
+    expect(store.getState().session).toEqual({ token: null });
+
+    store.dispatch({ type: 'LOGIN', token: 'secret' });
+    store.dispatch({ type: 'ADD_TO_CART', item: 'book' });
+    await flushPromises();
+
+    expect(readSaved(storage)).toEqual({
+      _persist: { version: -1 },
+      settings: { theme: 'dark' },
+      cart: ['book']
+    });
+  });
+
+  it('leaves the blacklisted slices alone', async () => {
+    const storage = savedStorage({ _persist: { version: -1 }, session: { token: 'stale' } });
+
+    const store = createStore(
+      reducer,
+      persistState({ key: 'root', storage, blacklist: ['session'] })
+    );
+    await flushPromises();
+    expect(store.getState().session).toEqual({ token: null });
+
+    store.dispatch({ type: 'LOGIN', token: 'secret' });
+    await flushPromises();
+    expect(readSaved(storage).session).toBeUndefined();
+    expect(readSaved(storage).settings).toEqual({ theme: 'light' });
+  });
+
+  it('skips slices the reducer does not know and a root state that is no object', async () => {
+    const storage = savedStorage({ _persist: { version: -1 }, removedSlice: { old: true } });
+    const store = createStore(reducer, persistState({ key: 'root', storage }));
+    await flushPromises();
+    expect(store.getState().removedSlice).toBeUndefined();
+
+    const counter = (state = 0) => state;
+    const counterStore = createStore(counter, persistState({ key: 'root', storage }));
+    expect(() => counterStore.dispatch({ type: REHYDRATE, key: 'root', payload: {} })).not.toThrow();
+    expect(counterStore.getState()).toBe(0);
+  });
+});
+
+describe('transforms', () => {
+  it('runs inbound before saving and outbound in reverse order when rehydrating', async () => {
+    const calls = [];
+    const tag = name => createTransform(
+      (slice, key) => {
+        calls.push(`${name} in ${key}`);
+        return slice;
+      },
+      (slice, key) => {
+        calls.push(`${name} out ${key}`);
+        return slice;
+      },
+      { whitelist: ['settings'] }
+    );
+    const storage = savedStorage({ _persist: { version: -1 }, settings: { theme: 'dark' } });
+
+    const store = createStore(
+      reducer,
+      persistState({ key: 'root', storage, transforms: [tag('first'), tag('second')] })
+    );
+    await flushPromises();
+    expect(calls).toEqual(['second out settings', 'first out settings']);
+
+    calls.length = 0;
+    store.dispatch({ type: 'SET_THEME', theme: 'blue' });
+    await flushPromises();
+    expect(calls).toEqual(['first in settings', 'second in settings']);
+  });
+
+  it('changes the slices on their way in and out of the storage', async () => {
+    const storage = savedStorage({ _persist: { version: -1 }, cart: 'book,pen' });
+    const cartAsString = createTransform(
+      slice => slice.join(','),
+      slice => slice.split(','),
+      { whitelist: ['cart'] }
+    );
+
+    const store = createStore(
+      reducer,
+      persistState({ key: 'root', storage, transforms: [cartAsString] })
+    );
+    await flushPromises();
+    expect(store.getState().cart).toEqual(['book', 'pen']);
+
+    store.dispatch({ type: 'ADD_TO_CART', item: 'ink' });
+    await flushPromises();
+    expect(readSaved(storage).cart).toBe('book,pen,ink');
+    expect(readSaved(storage).settings).toEqual({ theme: 'light' });
+  });
+});
+
+describe('throttle', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('writes a burst of dispatches once with the latest state', async () => {
+    const storage = createMemoryStorage();
+    const setItem = jest.spyOn(storage, 'setItem');
+    const store = createStore(reducer, persistState({ key: 'root', storage, throttle: 500 }));
+    await flushPromises();
+
+    store.dispatch({ type: 'ADD_TO_CART', item: 'book' });
+    store.dispatch({ type: 'ADD_TO_CART', item: 'pen' });
+    jest.runTimersToTime(499);
+    await flushPromises();
+    expect(setItem).not.toHaveBeenCalled();
+
+    jest.runTimersToTime(1);
+    await flushPromises();
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(readSaved(storage).cart).toEqual(['book', 'pen']);
+  });
+
+  it('writes right away on flush', async () => {
+    const storage = createMemoryStorage();
+    const store = createStore(reducer, persistState({ key: 'root', storage, throttle: 500 }));
+    await flushPromises();
+
+    store.dispatch({ type: 'ADD_TO_CART', item: 'book' });
+    await store.persistor.flush();
+    expect(readSaved(storage).cart).toEqual(['book']);
+  });
+});
+
+describe('PersistGate', () => {
+  it('renders loading until the store rehydrated, then the children', async () => {
+    const storage = savedStorage({ _persist: { version: -1 }, settings: { theme: 'dark' } });
+    const store = createStore(reducer, persistState({ key: 'root', storage }));
+    const Theme = () => <span>{store.getState().settings.theme}</span>;
+
+    const { container } = renderWithStore(
+      <PersistGate persistor={store.persistor} loading={<span>loading</span>}>
+        <Theme />
+      </PersistGate>,
+      { store }
+    );
+    expect(container.textContent).toBe('loading');
+
+    await act(async () => {
+      await flushPromises();
+    });
+    expect(container.textContent).toBe('dark');
+  });
+
+  it('passes the rehydrated flag to a function as children', async () => {
+    const store = createStore(reducer, persistState({ key: 'root', storage: createMemoryStorage() }));
+
+    const { container } = renderWithStore(
+      <PersistGate persistor={store.persistor}>
+        {rehydrated => <span>{rehydrated ? 'ready' : 'skeleton'}</span>}
+      </PersistGate>,
+      { store }
+    );
+    expect(container.textContent).toBe('skeleton');
+
+    await act(async () => {
+      await flushPromises();
+    });
+    expect(container.textContent).toBe('ready');
+  });
+});
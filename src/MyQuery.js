@@ -0,0 +1,612 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { connect, useDispatch, useSelector } from './MyRedux';
+
+// createApi describes the server data an app reads and writes once, and generates the
+// thunks, the reducer and the containers that every feature would otherwise write for
+// itself (a loading flag, an error, the data, a fetch thunk)
+//
+// const api = createApi({
+//   baseQuery: fetchBaseQuery({ baseUrl: '/api' }),
+//   endpoints: build => ({
+//     user: build.query({
+//       query: id => `/users/${id}`,
+//       providesTags: (user, error, id) => [{ type: 'User', id }]
+//     }),
+//     renameUser: build.mutation({
+//       query: ({ id, name }) => ({ url: `/users/${id}`, method: 'PATCH', body: { name } }),
+//       invalidatesTags: (result, error, { id }) => [{ type: 'User', id }]
+//     })
+//   })
+// })
+//
+// const store = createStore(
+//   combineReducers({ [api.reducerPath]: api.reducer, ...reducers }),
+//   applyMiddleware(thunk, api.middleware)
+// )
+//
+// store.dispatch(api.fetchUser(1))              a promise of { data } or { error }
+// store.dispatch(api.fetchRenameUser({ id: 1, name: 'Ada' }))
+//
+// const UserCard = withQuery(api.endpoints.user, props => props.userId)(
+//   ({ user }) => (user.isLoading ? <Spinner /> : <h2>{user.data.name}</h2>)
+// )
+//
+// every query result is cached under the endpoint name and its serialized args, so two
+// containers asking for user 1 share one entry and one request. a container counts as a
+// subscriber of its entry while it is mounted, an entry without subscribers is removed
+// keepUnusedDataFor seconds later. a mutation invalidates tags, the entries that
+// provided one of them are fetched again, or dropped if nobody uses them right now
+
+// pass skipToken as the args to wait, e.g. until the id is known
+export const skipToken = '@@myquery/skipToken';
+
+// the same args always give the same key, whatever order their keys were written in
+function stableStringify(value) {
+  if (value === undefined) return '';
+
+  return JSON.stringify(value, (key, nested) => {
+    if (typeof nested !== 'object' || nested === null || Array.isArray(nested)) return nested;
+
+    return Object.keys(nested).sort().reduce((sorted, nestedKey) => {
+      sorted[nestedKey] = nested[nestedKey];
+      return sorted;
+    }, {});
+  });
+}
+
+export function serializeQueryArgs(endpointName, args) {
+  return `${endpointName}(${stableStringify(args)})`;
+}
+
+// errors end up in the state, so an Error is reduced to what can be serialized
+function serializeError(err) {
+  if (err instanceof Error) {
+    return { name: err.name, message: err.message };
+  }
+  return err;
+}
+
+// 'User' and { type: 'User' } match every User tag, { type: 'User', id: 1 } matches
+// the tags of user 1 and the ones without an id
+function normalizeTag(tag) {
+  return typeof tag === 'string' ? { type: tag } : tag;
+}
+
+function tagsMatch(a, b) {
+  return a.type === b.type && (a.id === undefined || b.id === undefined || a.id === b.id);
+}
+
+function resolveTags(description, result, error, args) {
+  const tags = typeof description === 'function'
+    ? description(result, error, args)
+    : description;
+  return (tags || []).map(normalizeTag);
+}
+
+// the props a container gets for one cache entry
+function buildQueryResult(entry) {
+  const status = entry ? entry.status : 'uninitialized';
+  const data = entry ? entry.data : undefined;
+
+  return {
+    status,
+    data,
+    error: entry ? entry.error : undefined,
+    isUninitialized: status === 'uninitialized',
+    // loading is the first request, fetching any request, also a refetch of known data
+    isLoading: status === 'pending' && data === undefined,
+    isFetching: status === 'pending',
+    isSuccess: status === 'fulfilled',
+    isError: status === 'rejected'
+  }
+}
+
+// a baseQuery built on fetch. args is a url or { url, method, headers, body }, a body
+// that isn't a string is sent as JSON. it resolves with { data } or, for responses
+// outside 2xx and network errors, with { error: { status, data } }
+export function fetchBaseQuery({ baseUrl = '', prepareHeaders } = {}) {
+  return function baseQuery(args) {
+    const { url, method = 'GET', headers = {}, body } = typeof args === 'string' ? { url: args } : args;
+    const isJson = body !== undefined && typeof body !== 'string';
+    const finalHeaders = isJson ? { 'Content-Type': 'application/json', ...headers } : headers;
+
+    return fetch(`${baseUrl}${url}`, {
+      method,
+      headers: prepareHeaders ? prepareHeaders(finalHeaders) : finalHeaders,
+      body: isJson ? JSON.stringify(body) : body
+    }).then(
+      response => {
+        const contentType = response.headers.get('content-type') || '';
+        const read = contentType.indexOf('application/json') !== -1
+          ? response.json()
+          : response.text();
+
+        return read.then(data => (
+          response.ok ? { data } : { error: { status: response.status, data } }
+        ));
+      },
+      err => ({ error: { status: 'FETCH_ERROR', error: String(err) } })
+    );
+  }
+}
+
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// options:
+// baseQuery(args, { dispatch, getState, endpoint })
+//                      sends what an endpoint's query(args) returned and resolves with
+//                      { data } or { error }. tests pass an in-process fake server here
+// endpoints(build)     build.query({ query, transformResponse, providesTags }) and
+//                      build.mutation({ query, transformResponse, invalidatesTags })
+// reducerPath          where api.reducer is mounted (default 'api')
+// keepUnusedDataFor    seconds an entry without subscribers is kept (default 60)
+export function createApi(options) {
+  const {
+    baseQuery,
+    endpoints: buildEndpoints,
+    reducerPath = 'api',
+    keepUnusedDataFor = 60
+  } = options || {};
+
+  if (typeof baseQuery !== 'function' || typeof buildEndpoints !== 'function') {
+    throw new Error('createApi expects a baseQuery and an endpoints function.');
+  }
+
+  const prefix = `@@myquery/${reducerPath}`;
+  const ActionTypes = {
+    QUERY_PENDING: `${prefix}/QUERY_PENDING`,
+    QUERY_FULFILLED: `${prefix}/QUERY_FULFILLED`,
+    QUERY_REJECTED: `${prefix}/QUERY_REJECTED`,
+    REMOVE_QUERY: `${prefix}/REMOVE_QUERY`,
+    SUBSCRIBE: `${prefix}/SUBSCRIBE`,
+    UNSUBSCRIBE: `${prefix}/UNSUBSCRIBE`,
+    INVALIDATE_TAGS: `${prefix}/INVALIDATE_TAGS`,
+    // answered by the middleware, never reaches the reducer
+    GET_RUNTIME: `${prefix}/GET_RUNTIME`
+  };
+
+  const initialState = { queries: {}, subscriptions: {} };
+
+  function reducer(state = initialState, action) {
+    const { cacheKey } = action;
+
+    switch (action.type) {
+      case ActionTypes.QUERY_PENDING:
+        return {
+          ...state,
+          queries: {
+            ...state.queries,
+            // the data of the previous request stays while the next one is running
+            [cacheKey]: {
+              ...state.queries[cacheKey],
+              endpointName: action.endpointName,
+              args: action.args,
+              status: 'pending',
+              requestId: action.requestId,
+              error: undefined
+            }
+          }
+        };
+
+      case ActionTypes.QUERY_FULFILLED:
+      case ActionTypes.QUERY_REJECTED: {
+        const entry = state.queries[cacheKey];
+        // removed in the meantime, or an older request that finished late
+        if (!entry || entry.requestId !== action.requestId) return state;
+
+        const fulfilled = action.type === ActionTypes.QUERY_FULFILLED;
+        return {
+          ...state,
+          queries: {
+            ...state.queries,
+            [cacheKey]: {
+              ...entry,
+              status: fulfilled ? 'fulfilled' : 'rejected',
+              data: fulfilled ? action.data : entry.data,
+              error: fulfilled ? undefined : action.error,
+              tags: fulfilled ? action.tags : entry.tags
+            }
+          }
+        };
+      }
+
+      case ActionTypes.REMOVE_QUERY: {
+        if (!state.queries[cacheKey] || state.subscriptions[cacheKey]) return state;
+
+        const { [cacheKey]: removed, ...queries } = state.queries;
+        return { ...state, queries };
+      }
+
+      case ActionTypes.SUBSCRIBE:
+        return {
+          ...state,
+          subscriptions: {
+            ...state.subscriptions,
+            [cacheKey]: (state.subscriptions[cacheKey] || 0) + 1
+          }
+        };
+
+      case ActionTypes.UNSUBSCRIBE: {
+        const count = state.subscriptions[cacheKey] || 0;
+        if (count === 0) return state;
+
+        const { [cacheKey]: current, ...subscriptions } = state.subscriptions;
+        return {
+          ...state,
+          subscriptions: count > 1 ? { ...subscriptions, [cacheKey]: count - 1 } : subscriptions
+        };
+      }
+
+      default:
+        return state;
+    }
+  }
+
+  function selectApiState(state) {
+    const apiState = state[reducerPath];
+    if (!apiState) {
+      throw new Error(
+        `No api state found under "${reducerPath}". Mount api.reducer there with ` +
+        'combineReducers or pass another reducerPath to createApi.'
+      );
+    }
+    return apiState;
+  }
+
+  const subscribe = cacheKey => ({ type: ActionTypes.SUBSCRIBE, cacheKey });
+  const unsubscribe = cacheKey => ({ type: ActionTypes.UNSUBSCRIBE, cacheKey });
+  const invalidateTags = tags => ({ type: ActionTypes.INVALIDATE_TAGS, tags: tags.map(normalizeTag) });
+
+  // the requests in flight and the expiry timers belong to one store, the middleware
+  // keeps them and hands them to the thunks
+  function getRuntime(dispatch) {
+    const runtime = dispatch({ type: ActionTypes.GET_RUNTIME });
+    if (!runtime || !runtime.running) {
+      throw new Error(
+        'The api middleware is missing. Add api.middleware to applyMiddleware, ' +
+        'after the thunk middleware.'
+      );
+    }
+    return runtime;
+  }
+
+  let lastRequestId = 0;
+
+  // resolves with { data } or { error }, never rejects: an error thrown by query,
+  // baseQuery or transformResponse becomes { error } as well
+  function runBaseQuery(definition, endpointName, args, dispatch, getState) {
+    return Promise.resolve()
+      .then(() => baseQuery(definition.query(args), { dispatch, getState, endpoint: endpointName }))
+      .then(result => {
+        if (result && result.error !== undefined) return { error: result.error };
+
+        const data = result ? result.data : undefined;
+        return {
+          data: definition.transformResponse ? definition.transformResponse(data, args) : data
+        };
+      })
+      .catch(err => ({ error: serializeError(err) }));
+  }
+
+  function createQueryThunk(endpointName, definition) {
+    // options.forceRefetch sends a request even when the cache has the data
+    return (args, { forceRefetch = false } = {}) => (dispatch, getState) => {
+      const runtime = getRuntime(dispatch);
+      const cacheKey = serializeQueryArgs(endpointName, args);
+
+      // everybody asking for the same data while it is loading waits for one request. a
+      // forced refetch (an invalidation, refetch()) starts a new one, the running request
+      // may have been answered before the data changed. the entry only takes the result
+      // of the latest request
+      if (runtime.running[cacheKey] && !forceRefetch) return runtime.running[cacheKey];
+
+      const entry = selectApiState(getState()).queries[cacheKey];
+      if (!forceRefetch && entry && entry.status === 'fulfilled') {
+        return Promise.resolve({ data: entry.data });
+      }
+
+      const requestId = ++lastRequestId;
+      dispatch({ type: ActionTypes.QUERY_PENDING, cacheKey, endpointName, args, requestId });
+
+      const request = runBaseQuery(definition, endpointName, args, dispatch, getState)
+        .then(result => {
+          if ('error' in result) return result;
+          // a providesTags that throws fails the request like any other error
+          return { ...result, tags: resolveTags(definition.providesTags, result.data, undefined, args) };
+        })
+        .catch(err => ({ error: serializeError(err) }))
+        .then(result => {
+          // cleared before dispatching, a listener that fetches again starts a new request.
+          // a request that was replaced by a forced refetch leaves the newer one there
+          if (runtime.running[cacheKey] === request) delete runtime.running[cacheKey];
+
+          if ('error' in result) {
+            dispatch({ type: ActionTypes.QUERY_REJECTED, cacheKey, requestId, error: result.error });
+            return { error: result.error };
+          }
+
+          dispatch({ type: ActionTypes.QUERY_FULFILLED, cacheKey, requestId, data: result.data, tags: result.tags });
+          return { data: result.data };
+        });
+
+      runtime.running[cacheKey] = request;
+      return request;
+    }
+  }
+
+  // mutations aren't cached, the thunk's promise is the result
+  function createMutationThunk(endpointName, definition) {
+    return args => (dispatch, getState) =>
+      runBaseQuery(definition, endpointName, args, dispatch, getState)
+        .then(result => {
+          if (!('error' in result)) {
+            const tags = resolveTags(definition.invalidatesTags, result.data, undefined, args);
+            if (tags.length > 0) dispatch(invalidateTags(tags));
+          }
+          return result;
+        })
+        .catch(err => ({ error: serializeError(err) }));
+  }
+
+  const api = {
+    reducerPath,
+    ActionTypes,
+    reducer,
+    endpoints: {},
+    invalidateTags,
+    subscribe,
+    unsubscribe
+  };
+
+  const definitions = buildEndpoints({
+    query: definition => ({ ...definition, type: 'query' }),
+    mutation: definition => ({ ...definition, type: 'mutation' })
+  });
+
+  Object.keys(definitions).forEach(endpointName => {
+    const definition = definitions[endpointName];
+    const initiate = definition.type === 'query'
+      ? createQueryThunk(endpointName, definition)
+      : createMutationThunk(endpointName, definition);
+
+    const endpoint = {
+      name: endpointName,
+      type: definition.type,
+      api,
+      initiate
+    };
+
+    if (definition.type === 'query') {
+      endpoint.select = args => state =>
+        buildQueryResult(selectApiState(state).queries[serializeQueryArgs(endpointName, args)]);
+      endpoint.useQuery = args => useQuery(endpoint, args);
+    }
+
+    api.endpoints[endpointName] = endpoint;
+    api[`fetch${capitalize(endpointName)}`] = initiate;
+  });
+
+  api.middleware = ({ dispatch, getState }) => {
+    const runtime = { running: {}, expiryTimers: {} };
+
+    function clearExpiry(cacheKey) {
+      if (runtime.expiryTimers[cacheKey]) {
+        clearTimeout(runtime.expiryTimers[cacheKey]);
+        delete runtime.expiryTimers[cacheKey];
+      }
+    }
+
+    function scheduleExpiry(cacheKey) {
+      const { queries, subscriptions } = selectApiState(getState());
+      if (!queries[cacheKey] || subscriptions[cacheKey]) return;
+
+      clearExpiry(cacheKey);
+      runtime.expiryTimers[cacheKey] = setTimeout(() => {
+        delete runtime.expiryTimers[cacheKey];
+        dispatch({ type: ActionTypes.REMOVE_QUERY, cacheKey });
+      }, keepUnusedDataFor * 1000);
+    }
+
+    function invalidate(tags) {
+      const { queries, subscriptions } = selectApiState(getState());
+
+      Object.keys(queries).forEach(cacheKey => {
+        const entry = queries[cacheKey];
+        const provided = entry.tags || [];
+        const isInvalidated = provided.some(tag => tags.some(invalidated => tagsMatch(tag, invalidated)));
+        if (!isInvalidated) return;
+
+        if (subscriptions[cacheKey]) {
+          dispatch(api.endpoints[entry.endpointName].initiate(entry.args, { forceRefetch: true }));
+        } else {
+          clearExpiry(cacheKey);
+          dispatch({ type: ActionTypes.REMOVE_QUERY, cacheKey });
+        }
+      });
+    }
+
+    return next => action => {
+      if (action && action.type === ActionTypes.GET_RUNTIME) {
+        return runtime;
+      }
+
+      const result = next(action);
+
+      switch (action && action.type) {
+        case ActionTypes.SUBSCRIBE:
+          clearExpiry(action.cacheKey);
+          break;
+
+        // an entry nobody subscribed to, e.g. fetched for server rendering, expires too
+        case ActionTypes.UNSUBSCRIBE:
+        case ActionTypes.QUERY_FULFILLED:
+        case ActionTypes.QUERY_REJECTED:
+          scheduleExpiry(action.cacheKey);
+          break;
+
+        case ActionTypes.INVALIDATE_TAGS:
+          invalidate(action.tags);
+          break;
+
+        default:
+      }
+
+      return result;
+    }
+  };
+
+  return api;
+}
+
+// the props of a query container: the entry of its args and a refetch that stays the
+// same function for as long as the container is mounted
+class QuerySubscriber extends React.Component {
+  constructor(props) {
+    super(props);
+    this.refetch = this.refetch.bind(this);
+  }
+
+  componentDidMount() {
+    this.subscribe(this.props);
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.queryKey !== this.props.queryKey) {
+      this.unsubscribe(prevProps);
+      this.subscribe(this.props);
+    }
+  }
+
+  componentWillUnmount() {
+    this.unsubscribe(this.props);
+  }
+
+  subscribe({ endpoint, queryKey, queryArgs, dispatch }) {
+    if (queryKey === null) return;
+    dispatch(endpoint.api.subscribe(queryKey));
+    dispatch(endpoint.initiate(queryArgs));
+  }
+
+  unsubscribe({ endpoint, queryKey, dispatch }) {
+    if (queryKey === null) return;
+    dispatch(endpoint.api.unsubscribe(queryKey));
+  }
+
+  refetch() {
+    const { endpoint, queryKey, queryArgs, dispatch } = this.props;
+    if (queryKey === null) return Promise.resolve({ data: undefined });
+    return dispatch(endpoint.initiate(queryArgs, { forceRefetch: true }));
+  }
+
+  // a new result object only when the entry changed, so a pure wrapped component
+  // doesn't re-render for other entries
+  getResult() {
+    const { queryEntry } = this.props;
+    if (!this.result || this.lastEntry !== queryEntry) {
+      this.lastEntry = queryEntry;
+      this.result = { ...buildQueryResult(queryEntry), refetch: this.refetch };
+    }
+    return this.result;
+  }
+
+  render() {
+    const { WrappedComponent, propName, ownProps } = this.props;
+    return <WrappedComponent {...ownProps} {...{ [propName]: this.getResult() }} />;
+  }
+}
+
+// withQuery(endpoint, argsFromProps)(Component) fetches the endpoint for the args
+// computed from the props and passes the result as a prop named after the endpoint:
+// { data, error, status, isLoading, isFetching, isSuccess, isError, refetch }
+//
+// options:
+// propName    another name for the result prop
+// context     the same custom context as the Provider, if one is used
+//
+// it needs the thunk middleware next to api.middleware
+export function withQuery(endpoint, argsFromProps = () => undefined, { propName, context } = {}) {
+  const { reducerPath } = endpoint.api;
+  const resultPropName = propName || endpoint.name;
+
+  return function wrapWithQuery(WrappedComponent) {
+    const wrappedComponentName = WrappedComponent.displayName
+      || WrappedComponent.name
+      || 'Component';
+
+    // args are often a new object on every call, the key decides whether they changed
+    const makeMapStateToProps = () => {
+      let lastKey;
+      let lastArgs;
+
+      return (state, ownProps) => {
+        const args = argsFromProps(ownProps);
+        const queryKey = args === skipToken ? null : serializeQueryArgs(endpoint.name, args);
+        if (queryKey !== lastKey) {
+          lastKey = queryKey;
+          lastArgs = args;
+        }
+
+        return {
+          queryKey,
+          queryArgs: lastArgs,
+          queryEntry: queryKey === null ? undefined : state[reducerPath].queries[queryKey]
+        };
+      }
+    };
+
+    const mergeProps = (stateProps, dispatchProps, ownProps) => ({
+      ...stateProps,
+      dispatch: dispatchProps.dispatch,
+      ownProps,
+      endpoint,
+      WrappedComponent,
+      propName: resultPropName
+    });
+
+    return connect(makeMapStateToProps, null, mergeProps, {
+      context,
+      getDisplayName: () => `WithQuery(${wrappedComponentName})`
+    })(QuerySubscriber);
+  }
+}
+
+// the hook version of withQuery, for function components
+//
+// const { data, isLoading } = useQuery(api.endpoints.user, userId)
+export function useQuery(endpoint, args) {
+  const dispatch = useDispatch();
+  const { reducerPath } = endpoint.api;
+  const queryKey = args === skipToken ? null : serializeQueryArgs(endpoint.name, args);
+
+  const argsRef = useRef(args);
+  const keyRef = useRef(queryKey);
+  if (keyRef.current !== queryKey) {
+    keyRef.current = queryKey;
+    argsRef.current = args;
+  }
+
+  const queryEntry = useSelector(state => (
+    queryKey === null ? undefined : state[reducerPath].queries[queryKey]
+  ));
+
+  useEffect(() => {
+    if (queryKey === null) return undefined;
+
+    dispatch(endpoint.api.subscribe(queryKey));
+    dispatch(endpoint.initiate(argsRef.current));
+    return () => dispatch(endpoint.api.unsubscribe(queryKey));
+  }, [dispatch, endpoint, queryKey]);
+
+  const refetch = useMemo(() => () => (
+    queryKey === null
+      ? Promise.resolve({ data: undefined })
+      : dispatch(endpoint.initiate(argsRef.current, { forceRefetch: true }))
+  ), [dispatch, endpoint, queryKey]);
+
+  return useMemo(
+    () => ({ ...buildQueryResult(queryEntry), refetch }),
+    [queryEntry, refetch]
+  );
+}
@@ -0,0 +1,350 @@
+import React from 'react';
+import { act } from 'react-dom/test-utils';
+import { createStore, combineReducers, applyMiddleware, thunk } from './MyRedux';
+import { createApi, withQuery, useQuery, skipToken } from './MyQuery';
+import { renderWithStore, flushPromises } from './MyTestUtils';
+
+// an in-process server: users by id, every request is recorded. a request only
+// answers when the test calls respond(), so it can look at the state in between
+function createFakeServer() {
+  const users = { 1: { id: 1, name: 'Ada' }, 2: { id: 2, name: 'Bob' } };
+  const server = { requests: [], waiting: [] };
+
+  server.baseQuery = args => new Promise(resolve => {
+    server.requests.push(args);
+    server.waiting.push(() => {
+      if (args.method === 'PATCH') {
+        users[args.id] = { ...users[args.id], name: args.name };
+        resolve({ data: users[args.id] });
+      } else if (users[args.id]) {
+        resolve({ data: { ...users[args.id] } });
+      } else {
+        resolve({ error: { status: 404 } });
+      }
+    });
+  });
+
+  server.respond = () => {
+    const waiting = server.waiting;
+    server.waiting = [];
+    waiting.forEach(answer => answer());
+  };
+
+  return server;
+}
+
+function setup(apiOptions = {}) {
+  const server = createFakeServer();
+  const api = createApi({
+    baseQuery: server.baseQuery,
+    keepUnusedDataFor: 10,
+    endpoints: build => ({
+      user: build.query({
+        query: id => ({ id }),
+        providesTags: (user, error, id) => [{ type: 'User', id }]
+      }),
+      renameUser: build.mutation({
+        query: ({ id, name }) => ({ id, name, method: 'PATCH' }),
+        invalidatesTags: (result, error, { id }) => [{ type: 'User', id }]
+      })
+    }),
+    ...apiOptions
+  });
+  const store = createStore(
+    combineReducers({ api: api.reducer }),
+    applyMiddleware(thunk, api.middleware)
+  );
+  const entry = args => store.getState().api.queries[`user(${JSON.stringify(args)})`];
+
+  return { server, api, store, entry };
+}
+
+// baseQuery is called a tick after the thunk was dispatched. this answers every request
+// sent until now and waits until the thunks handled the answers
+async function respond(server) {
+  await flushPromises();
+  server.respond();
+  await flushPromises();
+}
+
+describe('query thunks', () => {
+  it('sends one request for the same args while it is in flight', async () => {
+    const { server, api, store, entry } = setup();
+
+    const first = store.dispatch(api.fetchUser(1));
+    const second = store.dispatch(api.fetchUser(1));
+    expect(second).toBe(first);
+    expect(entry(1).status).toBe('pending');
+
+    await respond(server);
+    expect(await first).toEqual({ data: { id: 1, name: 'Ada' } });
+    expect(server.requests.length).toBe(1);
+    expect(api.endpoints.user.select(1)(store.getState()).isSuccess).toBe(true);
+  });
+
+  it('answers from the cache unless a refetch is forced', async () => {
+    const { server, api, store } = setup();
+
+    store.dispatch(api.fetchUser(1));
+    await respond(server);
+
+    expect(await store.dispatch(api.fetchUser(1))).toEqual({ data: { id: 1, name: 'Ada' } });
+    expect(server.requests.length).toBe(1);
+
+    store.dispatch(api.fetchUser(1, { forceRefetch: true }));
+    await flushPromises();
+    expect(server.requests.length).toBe(2);
+  });
+
+  it('starts a new request for a forced refetch while one is in flight', async () => {
+    const { server, api, store, entry } = setup();
+
+    const first = store.dispatch(api.fetchUser(1));
+    const forced = store.dispatch(api.fetchUser(1, { forceRefetch: true }));
+    expect(forced).not.toBe(first);
+    await flushPromises();
+    expect(server.requests.length).toBe(2);
+
+    // the older request answers first, the entry waits for the forced one
+    server.waiting.shift()();
+    await flushPromises();
+    expect(entry(1).status).toBe('pending');
+    expect(store.dispatch(api.fetchUser(1))).toBe(forced);
+
+    await respond(server);
+    expect(await forced).toEqual({ data: { id: 1, name: 'Ada' } });
+    expect(entry(1).status).toBe('fulfilled');
+    expect(server.requests.length).toBe(2);
+  });
+
+  it('keeps an error of the server in the entry', async () => {
+    const { server, api, store } = setup();
+
+    const request = store.dispatch(api.fetchUser(3));
+    await respond(server);
+
+    expect(await request).toEqual({ error: { status: 404 } });
+    expect(api.endpoints.user.select(3)(store.getState())).toMatchObject({
+      isError: true,
+      error: { status: 404 }
+    });
+  });
+
+  it('rejects the entry when transformResponse throws and fetches again later', async () => {
+    let broken = true;
+    const { server, api, store, entry } = setup({
+      endpoints: build => ({
+        user: build.query({
+          query: id => ({ id }),
+          transformResponse: user => {
+            if (broken) throw new Error('unexpected response');
+            return user;
+          }
+        })
+      })
+    });
+
+    const request = store.dispatch(api.fetchUser(1));
+    await respond(server);
+
+    expect(await request).toEqual({ error: { name: 'Error', message: 'unexpected response' } });
+    expect(entry(1).status).toBe('rejected');
+
+    broken = false;
+    const retry = store.dispatch(api.fetchUser(1));
+    expect(retry).not.toBe(request);
+    await respond(server);
+    expect(await retry).toEqual({ data: { id: 1, name: 'Ada' } });
+  });
+
+  it('rejects the entry when providesTags throws', async () => {
+    const { server, api, store, entry } = setup({
+      endpoints: build => ({
+        user: build.query({
+          query: id => ({ id }),
+          providesTags: () => {
+            throw new Error('no tags');
+          }
+        })
+      })
+    });
+
+    const request = store.dispatch(api.fetchUser(1));
+    await respond(server);
+
+    expect(await request).toEqual({ error: { name: 'Error', message: 'no tags' } });
+    expect(entry(1).status).toBe('rejected');
+  });
+
+  it('throws when the middleware is missing', () => {
+    const { api } = setup();
+    const store = createStore(combineReducers({ api: api.reducer }), applyMiddleware(thunk));
+
+    expect(() => store.dispatch(api.fetchUser(1))).toThrow(/api middleware is missing/);
+  });
+});
+
+describe('cache lifetime', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('removes an entry keepUnusedDataFor seconds after the last unsubscribe', async () => {
+    const { server, api, store, entry } = setup();
+
+    store.dispatch(api.subscribe('user(1)'));
+    store.dispatch(api.subscribe('user(1)'));
+    store.dispatch(api.fetchUser(1));
+    await respond(server);
+
+    store.dispatch(api.unsubscribe('user(1)'));
+    jest.runTimersToTime(10000);
+    expect(entry(1)).toBeDefined();
+
+    store.dispatch(api.unsubscribe('user(1)'));
+    jest.runTimersToTime(9999);
+    expect(entry(1)).toBeDefined();
+    jest.runTimersToTime(1);
+    expect(entry(1)).toBeUndefined();
+  });
+
+  it('keeps an entry that is subscribed again before it expires', async () => {
+    const { server, api, store, entry } = setup();
+
+    store.dispatch(api.fetchUser(1));
+    await respond(server);
+
+    jest.runTimersToTime(5000);
+    store.dispatch(api.subscribe('user(1)'));
+    jest.runTimersToTime(10000);
+    expect(entry(1)).toBeDefined();
+  });
+
+  it('refetches subscribed entries with an invalidated tag and drops the others', async () => {
+    const { server, api, store, entry } = setup();
+
+    store.dispatch(api.subscribe('user(1)'));
+    store.dispatch(api.fetchUser(1));
+    store.dispatch(api.fetchUser(2));
+    await respond(server);
+
+    // user 1 is subscribed, user 2 would only expire later
+    store.dispatch(api.fetchRenameUser({ id: 1, name: 'Eve' }));
+    store.dispatch(api.fetchRenameUser({ id: 2, name: 'Max' }));
+    await respond(server);
+
+    expect(entry(1).status).toBe('pending');
+    expect(entry(2)).toBeUndefined();
+
+    await respond(server);
+    expect(entry(1).data).toEqual({ id: 1, name: 'Eve' });
+    expect(server.requests.length).toBe(5);
+  });
+});
+
+describe('withQuery', () => {
+  it('subscribes while mounted and follows the args of its props', async () => {
+    const { server, api, store } = setup();
+    const UserName = withQuery(api.endpoints.user, props => props.id)(
+      ({ user }) => <span>{user.isSuccess ? user.data.name : 'loading'}</span>
+    );
+
+    const { container, rerender, unmount } = renderWithStore(
+      <div><UserName id={1} /><UserName id={1} /></div>,
+      { store }
+    );
+    expect(container.textContent).toBe('loadingloading');
+    expect(store.getState().api.subscriptions).toEqual({ 'user(1)': 2 });
+
+    await act(async () => {
+      await respond(server);
+    });
+    expect(container.textContent).toBe('AdaAda');
+    expect(server.requests.length).toBe(1);
+
+    rerender(<div><UserName id={2} /></div>);
+    await act(async () => {
+      await respond(server);
+    });
+    expect(container.textContent).toBe('Bob');
+    expect(store.getState().api.subscriptions).toEqual({ 'user(2)': 1 });
+
+    unmount();
+    expect(store.getState().api.subscriptions).toEqual({});
+  });
+
+  it('does not fetch while the args are skipToken', () => {
+    const { server, api, store } = setup();
+    const UserName = withQuery(api.endpoints.user, () => skipToken)(
+      ({ user }) => <span>{user.status}</span>
+    );
+
+    const { container } = renderWithStore(<UserName />, { store });
+    expect(container.textContent).toBe('uninitialized');
+    expect(server.requests.length).toBe(0);
+  });
+});
+
+describe('useQuery', () => {
+  it('subscribes while mounted and follows its args', async () => {
+    const { server, api, store } = setup();
+    const UserName = ({ id }) => {
+      const user = useQuery(api.endpoints.user, id);
+      return <span>{user.isSuccess ? user.data.name : 'loading'}</span>;
+    };
+
+    const { container, rerender, unmount } = renderWithStore(
+      <div><UserName id={1} /><UserName id={1} /></div>,
+      { store }
+    );
+    expect(container.textContent).toBe('loadingloading');
+    expect(store.getState().api.subscriptions).toEqual({ 'user(1)': 2 });
+
+    await act(async () => {
+      await respond(server);
+    });
+    expect(container.textContent).toBe('AdaAda');
+    expect(server.requests.length).toBe(1);
+
+    rerender(<div><UserName id={2} /></div>);
+    await act(async () => {
+      await respond(server);
+    });
+    expect(container.textContent).toBe('Bob');
+    expect(store.getState().api.subscriptions).toEqual({ 'user(2)': 1 });
+
+    unmount();
+    expect(store.getState().api.subscriptions).toEqual({});
+  });
+
+  it('refetches with refetch and skips skipToken', async () => {
+    const { server, api, store } = setup();
+    let user;
+    const UserName = ({ id }) => {
+      user = useQuery(api.endpoints.user, id);
+      return <span>{user.status}</span>;
+    };
+
+    const { container, rerender } = renderWithStore(<UserName id={skipToken} />, { store });
+    expect(container.textContent).toBe('uninitialized');
+    expect(server.requests.length).toBe(0);
+
+    rerender(<UserName id={1} />);
+    await act(async () => {
+      await respond(server);
+    });
+    expect(container.textContent).toBe('fulfilled');
+
+    await act(async () => {
+      user.refetch();
+      await flushPromises();
+    });
+    expect(container.textContent).toBe('pending');
+    expect(user.data).toEqual({ id: 1, name: 'Ada' });
+    expect(server.requests.length).toBe(2);
+  });
+});
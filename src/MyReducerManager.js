@@ -0,0 +1,180 @@
+import React from 'react';
+import { createStore, combineReducers, ReactReduxContext } from './MyRedux';
+
+// a reducer manager lets the root reducer grow while the app runs, so the reducer of a
+// lazily loaded part of the app can ship in that part's chunk
+//
+// const store = createInjectableStore({ session, router }, window.__PRELOADED_STATE__)
+//
+// import('./todos').then(({ todosReducer, TodoPage }) => {
+//   store.injectReducer('todos', todosReducer)
+//   ...
+// })
+//
+// every change goes through store.replaceReducer, so it works with the other enhancers:
+// devTools replays its history with the new reducer and persistState keeps wrapping it
+//
+// combineReducers warns about and drops state keys it has no reducer for. the manager
+// only hands it the known slices and keeps the others next to them, that way the
+// preloaded state of a slice that isn't loaded yet is still there when its reducer
+// arrives and picks it up
+
+export function createReducerManager(initialReducers = {}) {
+  let reducers = { ...initialReducers };
+  let combinedReducer = combineReducers(reducers);
+  let keysToRemove = [];
+
+  function reduce(state, action) {
+    let currentState = state;
+
+    // the state of a removed reducer goes away with the next action, which is the
+    // REPLACE dispatched by replaceReducer
+    if (currentState !== undefined && keysToRemove.length > 0) {
+      currentState = { ...currentState };
+      keysToRemove.forEach(key => {
+        delete currentState[key];
+      });
+      keysToRemove = [];
+    }
+
+    if (Object.keys(reducers).length === 0) {
+      return currentState === undefined ? {} : currentState;
+    }
+
+    if (currentState === undefined) {
+      return combinedReducer(undefined, action);
+    }
+
+    const knownState = {};
+    const unknownState = {};
+    Object.keys(currentState).forEach(key => {
+      if (reducers.hasOwnProperty(key)) {
+        knownState[key] = currentState[key];
+      } else {
+        unknownState[key] = currentState[key];
+      }
+    });
+
+    // combineReducers returns the object it was given when no slice changed
+    const nextKnownState = combinedReducer(knownState, action);
+    if (nextKnownState === knownState) {
+      return currentState;
+    }
+
+    // the root keys keep their order, a slice that was just injected goes last
+    const nextState = {};
+    Object.keys(currentState).forEach(key => {
+      nextState[key] = reducers.hasOwnProperty(key) ? nextKnownState[key] : unknownState[key];
+    });
+    Object.keys(nextKnownState).forEach(key => {
+      if (!nextState.hasOwnProperty(key)) nextState[key] = nextKnownState[key];
+    });
+    return nextState;
+  }
+
+  return {
+    getReducerMap: () => reducers,
+
+    reduce,
+
+    // returns false when the same reducer was already there, nothing to replace then
+    add(key, reducer) {
+      if (!key || typeof reducer !== 'function') {
+        throw new Error(`Expected a key and a reducer function, instead received "${key}".`);
+      }
+      if (reducers[key] === reducer) return false;
+
+      reducers = { ...reducers, [key]: reducer };
+      combinedReducer = combineReducers(reducers);
+      keysToRemove = keysToRemove.filter(removed => removed !== key);
+      return true;
+    },
+
+    remove(key) {
+      if (!key || !reducers.hasOwnProperty(key)) return false;
+
+      const { [key]: removed, ...rest } = reducers;
+      reducers = rest;
+      combinedReducer = combineReducers(reducers);
+      keysToRemove = keysToRemove.concat([key]);
+      return true;
+    }
+  }
+}
+
+// createStore for a root reducer made of slices that can be added and removed later.
+// enhancer is the usual third argument, e.g. applyMiddleware(thunk) or compose(...)
+export function createInjectableStore(staticReducers, preloadedState, enhancer) {
+  const reducerManager = createReducerManager(staticReducers);
+  const store = createStore(reducerManager.reduce, preloadedState, enhancer);
+
+  return {
+    ...store,
+    reducerManager,
+
+    injectReducer(key, reducer) {
+      if (reducerManager.add(key, reducer)) {
+        store.replaceReducer(reducerManager.reduce);
+      }
+    },
+
+    removeReducer(key) {
+      if (reducerManager.remove(key)) {
+        store.replaceReducer(reducerManager.reduce);
+      }
+    }
+  }
+}
+
+// withReducer(key, reducer)(Component) injects the reducer when the component is
+// created, before anything below it renders. a container below finds its slice on its
+// first mapStateToProps run:
+//
+// export default withReducer('todos', todosReducer)(
+//   connect(state => ({ todos: state.todos }))(TodoList)
+// )
+//
+// the reducer stays after unmounting, mounting again keeps the slice's state and
+// doesn't replace the reducer a second time
+//
+// injecting in the constructor means the REPLACE action is dispatched while React
+// renders. it only adds the new slice, the others keep their state, so the containers
+// and useSelector calls already mounted select what they had and don't update. only a
+// selector that depends on the root object itself (Object.keys(state)) sees a change
+// and updates during a render, which React warns about
+export function withReducer(key, reducer, { context } = {}) {
+  const Context = context || ReactReduxContext;
+
+  return function wrapWithReducer(WrappedComponent) {
+    const wrappedComponentName = WrappedComponent.displayName
+      || WrappedComponent.name
+      || 'Component';
+
+    class WithReducer extends React.Component {
+      constructor(props, contextValue) {
+        super(props, contextValue);
+
+        const store = contextValue && contextValue.store;
+        if (!store || typeof store.injectReducer !== 'function') {
+          throw new Error(
+            `Could not find a store with injectReducer in the context of ` +
+            `"${WithReducer.displayName}". Create the store with createInjectableStore ` +
+            `and render it inside a <Provider>.`
+          );
+        }
+
+        store.injectReducer(key, reducer);
+      }
+
+      render() {
+        return <WrappedComponent {...this.props} />;
+      }
+    }
+
+    WithReducer.contextType = Context;
+    WithReducer.displayName = `WithReducer(${wrappedComponentName})`;
+    WithReducer.WrappedComponent = WrappedComponent;
+
+    return WithReducer;
+  }
+}
@@ -0,0 +1,123 @@
+import React from 'react';
+import { act } from 'react-dom/test-utils';
+import { connect } from './MyRedux';
+import { createInjectableStore, withReducer } from './MyReducerManager';
+import { renderWithStore } from './MyTestUtils';
+
+function session(state = { user: null }, action) {
+  return action.type === 'LOGIN' ? { user: action.user } : state;
+}
+
+function todos(state = [], action) {
+  return action.type === 'ADD_TODO' ? state.concat([action.text]) : state;
+}
+
+function router(state = { path: '/' }) {
+  return state;
+}
+
+describe('createInjectableStore', () => {
+  it('keeps the preloaded state of a slice until its reducer is injected', () => {
+    const store = createInjectableStore({ session }, { todos: ['saved'], session: { user: null } });
+    store.dispatch({ type: 'LOGIN', user: 'ada' });
+    expect(store.getState().todos).toEqual(['saved']);
+
+    store.injectReducer('todos', todos);
+    store.dispatch({ type: 'ADD_TODO', text: 'new' });
+    expect(store.getState().todos).toEqual(['saved', 'new']);
+  });
+
+  it('keeps the order of the root keys and puts injected slices last', () => {
+    const store = createInjectableStore(
+      { session, router },
+      { session: { user: null }, cache: {}, router: { path: '/' } }
+    );
+
+    store.dispatch({ type: 'LOGIN', user: 'ada' });
+    expect(Object.keys(store.getState())).toEqual(['session', 'cache', 'router']);
+
+    store.injectReducer('todos', todos);
+    expect(Object.keys(store.getState())).toEqual(['session', 'cache', 'router', 'todos']);
+  });
+
+  it('drops the state of a removed reducer', () => {
+    const store = createInjectableStore({ session, todos });
+    store.dispatch({ type: 'ADD_TODO', text: 'write tests' });
+
+    store.removeReducer('todos');
+    expect(store.getState()).toEqual({ session: { user: null } });
+    expect(store.reducerManager.getReducerMap()).toEqual({ session });
+  });
+
+  it('only replaces the reducer when something changed', () => {
+    const store = createInjectableStore({ session });
+    const listener = jest.fn();
+    store.subscribe(listener);
+
+    store.injectReducer('todos', todos);
+    store.injectReducer('todos', todos);
+    store.removeReducer('unknown');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('withReducer', () => {
+  it('injects the reducer before the container below it maps the state', () => {
+    const store = createInjectableStore({ session });
+    const TodoCount = withReducer('todos', todos)(
+      connect(state => ({ count: state.todos.length }))(({ count }) => <span>{count}</span>)
+    );
+
+    const { container } = renderWithStore(<TodoCount />, { store });
+    expect(container.textContent).toBe('0');
+
+    act(() => {
+      store.dispatch({ type: 'ADD_TODO', text: 'write tests' });
+    });
+    expect(container.textContent).toBe('1');
+  });
+
+  it('leaves the mounted containers alone when it injects during a render', () => {
+    const store = createInjectableStore({ session });
+    let userRenders = 0;
+    const User = connect(state => ({ user: state.session.user }))(({ user }) => {
+      userRenders++;
+      return <span>{user || 'guest'}</span>;
+    });
+    const Todos = withReducer('todos', todos)(
+      connect(state => ({ todos: state.todos }))(({ todos }) => <span>{todos.length}</span>)
+    );
+    const consoleError = jest.spyOn(console, 'error');
+
+    try {
+      const { container, rerender } = renderWithStore(<div><User /></div>, { store });
+      rerender(<div><User /><Todos /></div>);
+
+      expect(container.textContent).toBe('guest0');
+      expect(userRenders).toBe(1);
+      expect(consoleError).not.toHaveBeenCalled();
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+
+  it('keeps the reducer and its state after unmounting', () => {
+    const store = createInjectableStore({ session });
+    const TodoCount = withReducer('todos', todos)(
+      connect(state => ({ count: state.todos.length }))(({ count }) => <span>{count}</span>)
+    );
+
+    const { rerender } = renderWithStore(<TodoCount />, { store });
+    store.dispatch({ type: 'ADD_TODO', text: 'write tests' });
+    rerender(<div />);
+    // a second REPLACE would notify the store's listeners
+    const listener = jest.fn();
+    store.subscribe(listener);
+    const { container } = renderWithStore(<TodoCount />, { store });
+
+    expect(container.textContent).toBe('1');
+    expect(store.getState().todos).toEqual(['write tests']);
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
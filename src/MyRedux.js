@@ -1,4 +1,12 @@
-import React from 'react';
+import React, {
+  useContext,
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useReducer,
+  useRef
+} from 'react';
+import ReactDOM from 'react-dom';
 import PropTypes from 'prop-types';
 
 // it seems like components should subscribe to the store during componentDidMount
@@ -13,13 +21,438 @@ const storeShape = PropTypes.shape({
 })
 
 
+// createStore builds the object described by storeShape. the store holds the current
+// state tree, the reducer that computes the next one, and a list of listeners that get
+// called after every dispatch. Provider hands this object down through context and
+// Subscription.trySubscribe of the root container is the only caller of store.subscribe
+
+// private action types reserved by the library. reducers should never handle them
+// directly, for any unknown action they must return the current state (or their
+// initial state when the current state is undefined)
+const randomString = () =>
+  Math.random().toString(36).substring(7).split('').join('.')
+
+const ActionTypes = {
+  INIT: `@@myredux/INIT${randomString()}`,
+  REPLACE: `@@myredux/REPLACE${randomString()}`
+}
+
+// actions have to be plain objects, anything else needs a middleware to be dispatched
+function isPlainObject(obj) {
+  if (typeof obj !== 'object' || obj === null) return false;
+
+  let proto = obj;
+  while (Object.getPrototypeOf(proto) !== null) {
+    proto = Object.getPrototypeOf(proto);
+  }
+
+  return Object.getPrototypeOf(obj) === proto;
+}
+
+export function createStore(reducer, preloadedState, enhancer) {
+  // preloadedState is optional, createStore(reducer, enhancer) also works
+  if (typeof preloadedState === 'function' && typeof enhancer === 'undefined') {
+    enhancer = preloadedState;
+    preloadedState = undefined;
+  }
+
+  if (typeof enhancer !== 'undefined') {
+    if (typeof enhancer !== 'function') {
+      throw new Error('Expected the enhancer to be a function.');
+    }
+
+    // an enhancer wraps createStore itself and returns a more capable store
+    return enhancer(createStore)(reducer, preloadedState);
+  }
+
+  if (typeof reducer !== 'function') {
+    throw new Error('Expected the reducer to be a function.');
+  }
+
+  let currentReducer = reducer;
+  let currentState = preloadedState;
+  let currentListeners = [];
+  let nextListeners = currentListeners;
+  let isDispatching = false;
+
+  // listeners are called from a snapshot of the array taken at the start of dispatch
+  // so subscribing or unsubscribing while notifying only affects the next dispatch
+  function ensureCanMutateNextListeners() {
+    if (nextListeners === currentListeners) {
+      nextListeners = currentListeners.slice();
+    }
+  }
+
+  function getState() {
+    if (isDispatching) {
+      throw new Error(
+        'You may not call store.getState() while the reducer is executing. ' +
+        'The reducer has already received the state as an argument.'
+      );
+    }
+
+    return currentState;
+  }
+
+  // returns a function that removes the listener again
+  function subscribe(listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Expected the listener to be a function.');
+    }
+
+    if (isDispatching) {
+      throw new Error(
+        'You may not call store.subscribe() while the reducer is executing.'
+      );
+    }
+
+    let isSubscribed = true;
+
+    ensureCanMutateNextListeners();
+    nextListeners.push(listener);
+
+    return function unsubscribe() {
+      if (!isSubscribed) return;
+
+      if (isDispatching) {
+        throw new Error(
+          'You may not unsubscribe from a store listener while the reducer is executing.'
+        );
+      }
+
+      isSubscribed = false;
+
+      ensureCanMutateNextListeners();
+      const index = nextListeners.indexOf(listener);
+      nextListeners.splice(index, 1);
+    }
+  }
+
+  function dispatch(action) {
+    if (!isPlainObject(action)) {
+      throw new Error(
+        'Actions must be plain objects. Use custom middleware for async actions.'
+      );
+    }
+
+    if (typeof action.type === 'undefined') {
+      throw new Error(
+        'Actions may not have an undefined "type" property. ' +
+        'Have you misspelled a constant?'
+      );
+    }
+
+    if (isDispatching) {
+      throw new Error('Reducers may not dispatch actions.');
+    }
+
+    try {
+      isDispatching = true;
+      currentState = currentReducer(currentState, action);
+    } finally {
+      isDispatching = false;
+    }
+
+    const listeners = (currentListeners = nextListeners);
+    for (let i = 0; i < listeners.length; i++) {
+      listeners[i]();
+    }
+
+    return action;
+  }
+
+  // used for hot reloading and code splitting, the new reducer receives the
+  // current state and fills in any slices it knows about
+  function replaceReducer(nextReducer) {
+    if (typeof nextReducer !== 'function') {
+      throw new Error('Expected the nextReducer to be a function.');
+    }
+
+    currentReducer = nextReducer;
+    dispatch({ type: ActionTypes.REPLACE });
+  }
+
+  // every reducer returns its initial state for the INIT action, which populates
+  // the initial state tree before anyone calls getState
+  dispatch({ type: ActionTypes.INIT });
+
+  return {
+    dispatch,
+    subscribe,
+    getState,
+    replaceReducer
+  }
+}
+
+
+// combineReducers turns a map of slice reducers into a single root reducer for
+// createStore. each slice reducer only sees its own part of the state tree, e.g.
+//
+// const rootReducer = combineReducers({ todos, visibilityFilter })
+// rootReducer(state, action) => { todos: todos(state.todos, action), ... }
+//
+// when no slice reducer returns a new object the previous state object is returned
+// as is, so the identity checks in makeStatefulSelector can bail out early
+
+function warning(message) {
+  if (typeof console !== 'undefined' && typeof console.error === 'function') {
+    console.error(message);
+  }
+}
+
+function getUndefinedStateErrorMessage(key, action) {
+  const actionType = action && action.type;
+  const actionDescription =
+    (actionType && `action "${String(actionType)}"`) || 'an action';
+
+  return (
+    `Given ${actionDescription}, reducer "${key}" returned undefined. ` +
+    'To ignore an action, you must explicitly return the previous state. ' +
+    'If you want this reducer to hold no value, you can return null instead of undefined.'
+  );
+}
+
+// only runs in development, warns about state keys that no reducer will ever handle
+function getUnexpectedStateShapeWarningMessage(inputState, reducers, action, unexpectedKeyCache) {
+  const reducerKeys = Object.keys(reducers);
+  const argumentName = action && action.type === ActionTypes.INIT
+    ? 'preloadedState argument passed to createStore'
+    : 'previous state received by the reducer';
+
+  if (reducerKeys.length === 0) {
+    return 'Store does not have a valid reducer. Make sure the argument passed ' +
+      'to combineReducers is an object whose values are reducers.';
+  }
+
+  if (!isPlainObject(inputState)) {
+    return `The ${argumentName} has unexpected type of "${typeof inputState}". ` +
+      `Expected argument to be an object with the following keys: "${reducerKeys.join('", "')}"`;
+  }
+
+  const unexpectedKeys = Object.keys(inputState).filter(key =>
+    !reducers.hasOwnProperty(key) && !unexpectedKeyCache[key]
+  );
+
+  unexpectedKeys.forEach(key => {
+    unexpectedKeyCache[key] = true;
+  });
+
+  // replaceReducer may legitimately leave keys behind until the new reducer arrives
+  if (action && action.type === ActionTypes.REPLACE) return;
+
+  if (unexpectedKeys.length > 0) {
+    return `Unexpected ${unexpectedKeys.length > 1 ? 'keys' : 'key'} ` +
+      `"${unexpectedKeys.join('", "')}" found in ${argumentName}. ` +
+      `Expected to find one of the known reducer keys instead: ` +
+      `"${reducerKeys.join('", "')}". Unexpected keys will be ignored.`;
+  }
+}
+
+// every slice reducer must return its initial state for INIT and for any action it
+// doesn't know, otherwise the combined state would end up with undefined slices
+function assertReducerShape(reducers) {
+  Object.keys(reducers).forEach(key => {
+    const reducer = reducers[key];
+    const initialState = reducer(undefined, { type: ActionTypes.INIT });
+
+    if (typeof initialState === 'undefined') {
+      throw new Error(
+        `Reducer "${key}" returned undefined during initialization. ` +
+        'If the state passed to the reducer is undefined, you must ' +
+        'explicitly return the initial state. The initial state may ' +
+        'not be undefined. If you don\'t want to set a value for this reducer, ' +
+        'you can use null instead of undefined.'
+      );
+    }
+
+    const probeType = `@@myredux/PROBE_UNKNOWN_ACTION${randomString()}`;
+    if (typeof reducer(undefined, { type: probeType }) === 'undefined') {
+      throw new Error(
+        `Reducer "${key}" returned undefined when probed with a random type. ` +
+        `Don't try to handle ${ActionTypes.INIT} or other actions in "@@myredux/*" ` +
+        'namespace. They are considered private. Instead, you must return the ' +
+        'current state for any unknown actions, unless it is undefined, ' +
+        'in which case you must return the initial state, regardless of the ' +
+        'action type. The initial state may not be undefined, but can be null.'
+      );
+    }
+  });
+}
+
+export function combineReducers(reducers) {
+  // drop anything that isn't a function so the root reducer only loops over reducers
+  const finalReducers = {};
+  Object.keys(reducers).forEach(key => {
+    if (process.env.NODE_ENV !== 'production' && typeof reducers[key] === 'undefined') {
+      warning(`No reducer provided for key "${key}"`);
+    }
+
+    if (typeof reducers[key] === 'function') {
+      finalReducers[key] = reducers[key];
+    }
+  });
+  const finalReducerKeys = Object.keys(finalReducers);
+
+  // warn only once per unexpected key
+  let unexpectedKeyCache;
+  if (process.env.NODE_ENV !== 'production') {
+    unexpectedKeyCache = {};
+  }
+
+  // shape errors are thrown on the first call so createStore reports them
+  let shapeAssertionError;
+  try {
+    assertReducerShape(finalReducers);
+  } catch (e) {
+    shapeAssertionError = e;
+  }
+
+  return function combination(state = {}, action) {
+    if (shapeAssertionError) {
+      throw shapeAssertionError;
+    }
+
+    if (process.env.NODE_ENV !== 'production') {
+      const warningMessage = getUnexpectedStateShapeWarningMessage(
+        state, finalReducers, action, unexpectedKeyCache
+      );
+      if (warningMessage) {
+        warning(warningMessage);
+      }
+    }
+
+    let hasChanged = false;
+    const nextState = {};
+    for (let i = 0; i < finalReducerKeys.length; i++) {
+      const key = finalReducerKeys[i];
+      const reducer = finalReducers[key];
+      const previousStateForKey = state[key];
+      const nextStateForKey = reducer(previousStateForKey, action);
+      if (typeof nextStateForKey === 'undefined') {
+        throw new Error(getUndefinedStateErrorMessage(key, action));
+      }
+      nextState[key] = nextStateForKey;
+      hasChanged = hasChanged || nextStateForKey !== previousStateForKey;
+    }
+    // a key that disappeared from the reducers also counts as a change
+    hasChanged = hasChanged || finalReducerKeys.length !== Object.keys(state).length;
+
+    return hasChanged ? nextState : state;
+  }
+}
+
+
+// compose(f, g, h)(...args) is the same as f(g(h(...args))), the rightmost function
+// can take any arguments, all the others only receive the previous return value
+export function compose(...funcs) {
+  if (funcs.length === 0) {
+    return arg => arg;
+  }
+
+  if (funcs.length === 1) {
+    return funcs[0];
+  }
+
+  return funcs.reduce((a, b) => (...args) => a(b(...args)));
+}
+
+
+// middleware sits between store.dispatch and the reducer. each middleware has the
+// signature ({ getState, dispatch }) => next => action, where next is the dispatch of
+// the middleware to its right (the last one gets the original store.dispatch)
+//
+// applyMiddleware is a store enhancer, so the store it returns replaces dispatch with
+// the composed chain. Provider passes that store down and connectHOC reads
+// this.store.dispatch from it, which means mapDispatchToProps gets the enhanced dispatch
+export function applyMiddleware(...middlewares) {
+  return createStore => (...args) => {
+    const store = createStore(...args);
+    let dispatch = () => {
+      throw new Error(
+        'Dispatching while constructing your middleware is not allowed. ' +
+        'Other middleware would not be applied to this dispatch.'
+      );
+    }
+
+    // middlewares get a dispatch that always goes through the whole chain again
+    const middlewareAPI = {
+      getState: store.getState,
+      dispatch: (...args) => dispatch(...args)
+    }
+    const chain = middlewares.map(middleware => middleware(middlewareAPI));
+    dispatch = compose(...chain)(store.dispatch);
+
+    return {
+      ...store,
+      dispatch
+    }
+  }
+}
+
+
+// thunk lets action creators return a function instead of an action. the function is
+// called with dispatch and getState and can dispatch as many actions as it wants, e.g.
+//
+// const fetchUser = id => dispatch => api.get(id).then(user => dispatch(userLoaded(user)))
+function createThunkMiddleware(extraArgument) {
+  return ({ dispatch, getState }) => next => action => {
+    if (typeof action === 'function') {
+      return action(dispatch, getState, extraArgument);
+    }
+
+    return next(action);
+  }
+}
+
+export const thunk = createThunkMiddleware();
+// thunk.withExtraArgument(api) injects a third argument, handy for mocking an api client
+thunk.withExtraArgument = createThunkMiddleware;
+
+
+// bindActionCreators wraps action creators so calling them dispatches the action right
+// away. it takes a single action creator or an object of them, e.g.
+//
+// const { addTodo } = bindActionCreators({ addTodo }, store.dispatch)
+// addTodo('buy milk') => store.dispatch(addTodo('buy milk'))
+function bindActionCreator(actionCreator, dispatch) {
+  return function (...args) {
+    return dispatch(actionCreator.apply(this, args));
+  }
+}
+
+export function bindActionCreators(actionCreators, dispatch) {
+  if (typeof actionCreators === 'function') {
+    return bindActionCreator(actionCreators, dispatch);
+  }
+
+  if (typeof actionCreators !== 'object' || actionCreators === null) {
+    throw new Error(
+      `bindActionCreators expected an object or a function, instead received ` +
+      `${actionCreators === null ? 'null' : typeof actionCreators}.`
+    );
+  }
+
+  const boundActionCreators = {};
+  Object.keys(actionCreators).forEach(key => {
+    const actionCreator = actionCreators[key];
+    // a typo in an import usually shows up here as undefined
+    if (typeof actionCreator !== 'function') {
+      throw new Error(
+        `bindActionCreators expected the value for key "${key}" to be an action ` +
+        `creator function, instead received ${typeof actionCreator}.`
+      );
+    }
+    boundActionCreators[key] = bindActionCreator(actionCreator, dispatch);
+  });
+
+  return boundActionCreators;
+}
+
+
 // instead each container component maintains its own subscription and notification
 // system, thus the doesn't notify every container, but every container notifies the
-// children below it
-const subscriptionShape = PropTypes.shape({
-  trySubscribe: PropTypes.func.isRequired,
-  notifyNestedSubs: PropTypes.func.isRequired
-})
+// children below it. the Subscription instances travel down the tree as parentSub in
+// ReactReduxContext next to the store
 
 
 // <Provider>
@@ -32,105 +465,347 @@ const subscriptionShape = PropTypes.shape({
 // this method tries to subscribe the callback func (onStateChange) to its
 // parent's (Container1) subscription by calling addNestedSub. in addNestedSub
 // the subscription of Container1 will first call its own trySubscribe
-// however since the root container does not have an ancestor its parentSub will
-// initialize to null from the Provider, thus it will subscribe its own onStateChange
-// to the store directly. This recursive process ensures that only the onStateChange
-// callback of the root container subscribes to the store and the following onStateChange
-// will subscribe to the parentSub of each component
+// however since the root container does not have an ancestor container its parentSub
+// is the Provider's own Subscription, which has no parentSub (null) and subscribes to
+// the store directly. This recursive process ensures that only the Provider's
+// subscription subscribes to the store and every onStateChange below it subscribes
+// to the parentSub of each component. components using useSelector join the same
+// tree, with the closest container above them (or the Provider) as their parentSub
 // this provides a bottom up subscription method and top down notification system
+//
+// when a container unmounts tryUnsubscribe reverses all of this: it removes its
+// onStateChange from the parent (or the store) and drops its own nested listeners
+
+// the nested listeners of a Subscription. like the store's listeners, notify works on a
+// snapshot so listeners added while notifying wait for the next round. a listener that
+// is removed while notifying is skipped right away though, a child that was just
+// unmounted by its parent's update must not be called anymore
+function createListenerCollection() {
+  let current = [];
+  let next = current;
+
+  return {
+    clear() {
+      next.forEach(entry => { entry.active = false; });
+      current = [];
+      next = current;
+    },
+
+    notify() {
+      const listeners = (current = next);
+      for (let i = 0; i < listeners.length; i++) {
+        if (listeners[i].active) listeners[i].listener();
+      }
+    },
+
+    get() {
+      return next.filter(entry => entry.active).map(entry => entry.listener);
+    },
+
+    subscribe(listener) {
+      const entry = { listener, active: true };
+      if (next === current) next = current.slice();
+      next.push(entry);
+
+      return function unsubscribe() {
+        if (!entry.active) return;
+        entry.active = false;
+
+        if (next === current) next = current.slice();
+        next.splice(next.indexOf(entry), 1);
+      }
+    }
+  }
+}
+
+// an unsubscribed Subscription has nobody to notify
+const nullListeners = {
+  clear() {},
+  notify() {},
+  get() { return []; },
+  subscribe() { return () => {}; }
+};
+
 class Subscription {
   constructor(store, parentSub, onStateChange) {
     this.store = store;                   //global store from context
     this.parentSub = parentSub;           //parentSub from context
     this.onStateChange = onStateChange;   //its own listener
-    this.subscribed = false;              //flag for testing if it has subscribed
-    this.listeners = [];                  // nested subscription listeners subscribe here
+    this.unsubscribe = null;              //set while subscribed, also tells if it has subscribed
+    this.listeners = nullListeners;       // nested subscription listeners subscribe here
   }
 
-  // defined in subscriptionShape
   notifyNestedSubs() {
-    this.listeners.forEach(listener => listener())
+    // inside batch() this waits for the batch to end, see flushPendingSubscriptions
+    if (batchDepth > 0) {
+      if (pendingSubscriptions.indexOf(this) === -1) pendingSubscriptions.push(this);
+      return;
+    }
+
+    this.listeners.notify();
+  }
+
+  isSubscribed() {
+    return Boolean(this.unsubscribe);
   }
 
   trySubscribe() {
     //if not yet subscribed
-    if (!this.subscribed) {
-      if (this.parentSub !== null) {
+    if (!this.unsubscribe) {
+      if (this.parentSub) {
         // if has parentSub (from context), subscribe to parentSub
-        this.parentSub.addNestedSub(this.onStateChange);
+        this.unsubscribe = this.parentSub.addNestedSub(this.onStateChange);
+      } else {
+        // if root component just subscribe directly to store
+        this.unsubscribe = this.store.subscribe(this.onStateChange);
       }
-    } else {
-      // if root component just subscribe directly to store
-      this.store.subscribe(this.onStateChange);
+
+      this.listeners = createListenerCollection();
     }
+  }
 
-    this.subscribed = true;
+  tryUnsubscribe() {
+    if (this.unsubscribe) {
+      // detach from the parent (or the store) first, then forget the nested listeners
+      this.unsubscribe();
+      this.unsubscribe = null;
+      this.listeners.clear();
+      this.listeners = nullListeners;
+    }
   }
 
-  // add nested subscription to itself
+  // add nested subscription to itself, returns the function that removes it again
   addNestedSub(listener) {
     // MUST make sure it is subscribed, or order can't be maintained
-    this.trySubscribe() {
-      // found in subscriptionShape
+    this.trySubscribe();
+
+    // Now subscribe the nested listener to it Subscription's own listener collection
+    return this.listeners.subscribe(listener);
+  }
+}
+
+
+// React batches the setState calls made inside its own event handlers into one render
+// pass. store notifications usually come from somewhere else (timers, promises, sockets)
+// so without help every container would render on its own. ReactDOM exposes the same
+// batching as unstable_batchedUpdates, other renderers can hand theirs in with setBatch
+let batchedUpdates = ReactDOM.unstable_batchedUpdates || (callback => callback());
+
+export function setBatch(newBatch) {
+  batchedUpdates = newBatch;
+}
+
+// while a batch() is running Subscriptions don't notify their nested listeners, they are
+// collected here and notified once when the outermost batch ends
+let batchDepth = 0;
+let pendingSubscriptions = [];
 
-      // Now subscribe the nested listener to it Subscription's own listener collection
-      this.listeners.push(listener);
+function getSubscriptionDepth(subscription) {
+  let depth = 0;
+  for (let sub = subscription.parentSub; sub; sub = sub.parentSub) depth++;
+  return depth;
+}
+
+// parents go first so the notification stays top down, no matter which subscription
+// asked to be notified first
+function flushPendingSubscriptions() {
+  const subscriptions = pendingSubscriptions
+    .map(subscription => ({ subscription, depth: getSubscriptionDepth(subscription) }))
+    .sort((a, b) => a.depth - b.depth)
+    .map(entry => entry.subscription);
+  pendingSubscriptions = [];
+
+  batchedUpdates(() => {
+    subscriptions.forEach(subscription => subscription.notifyNestedSubs());
+  });
+}
+
+// batch(() => { dispatch(a); dispatch(b); dispatch(c) }) renders once instead of three times
+export function batch(callback) {
+  batchDepth++;
+  try {
+    return batchedUpdates(callback);
+  } finally {
+    batchDepth--;
+    if (batchDepth === 0 && pendingSubscriptions.length > 0) {
+      flushPendingSubscriptions();
     }
   }
 }
 
+// batchedSubscribe is a store enhancer that calls the store listeners through batchFn
+// instead of right after every dispatch. by default every notification is one batch().
+// batchFn is only called again once it notified, so a requestAnimationFrame based one
+// coalesces all the dispatches of a frame into one notification, e.g.
+//
+// createStore(reducer, batchedSubscribe(notify => requestAnimationFrame(notify)))
+export function batchedSubscribe(batchFn = batch) {
+  if (typeof batchFn !== 'function') {
+    throw new Error('Expected batchFn to be a function.');
+  }
+
+  return createStore => (...args) => {
+    const store = createStore(...args);
+    const listeners = createListenerCollection();
+
+    let notifyPending = false;
+
+    // dispatches while a notification is pending are covered by it, the listeners read
+    // the latest state when it finally runs
+    // the flag is reset before the listeners run, so a listener that throws or
+    // dispatches doesn't swallow the next notification
+    const notifyListeners = () => {
+      notifyPending = false;
+      listeners.notify();
+    };
+    store.subscribe(() => {
+      if (notifyPending) return;
+      notifyPending = true;
+      let scheduled = false;
+      try {
+        batchFn(notifyListeners);
+        scheduled = true;
+      } finally {
+        // a batchFn that threw won't call back, the next dispatch schedules again
+        if (!scheduled) notifyPending = false;
+      }
+    });
+
+    function subscribe(listener) {
+      if (typeof listener !== 'function') {
+        throw new Error('Expected the listener to be a function.');
+      }
+
+      return listeners.subscribe(listener);
+    }
+
+    return {
+      ...store,
+      subscribe
+    }
+  }
+}
+
+
+// the store and the closest parentSub travel down the tree in this context. Provider
+// puts in its own root Subscription, every container replaces it with its own so the
+// containers and hooks below it subscribe to that one instead
+export const ReactReduxContext = React.createContext(null);
 
 // This component exposes a context for the child components to access the redux store
 // besides the store object Provide also provides another context variable called parentSub
-// parentSub references to the Subscription instance of the ancetor container (initially null)
-class Provider extends React.Component {
-  constructor(props, context) {
-    super(props, context);
-    this.store = props.store;
+// parentSub references to the Subscription instance of the ancetor container, below the
+// Provider that is the Provider's own root Subscription
+//
+// <Provider store={store} context={MyContext}> uses a custom context instead of
+// ReactReduxContext, connect and the hooks need the same context to find that store.
+// this is how two independent store trees can live on one page
+export class Provider extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = createProviderState(props.store);
   }
 
-  // React method that is called when state or props change
-  getChildContext() {
-    return { store: this.store, parentSub: null }
+  // a new store prop (tenant switch, logout, fixtures) gets its own root Subscription
+  // and context value, every container below re-renders and re-subscribes to it
+  static getDerivedStateFromProps(props, state) {
+    return props.store === state.store ? null : createProviderState(props.store);
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    if (prevState.subscription !== this.state.subscription) {
+      prevState.subscription.tryUnsubscribe();
+    }
+  }
+
+  componentWillUnmount() {
+    this.state.subscription.tryUnsubscribe();
   }
 
   render() {
-    return React.Children.only(this.props.children)
+    const { context, children } = this.props;
+    const Context = context || ReactReduxContext;
+
+    return React.createElement(
+      Context.Provider,
+      { value: this.state.contextValue },
+      React.Children.only(children)
+    )
   }
 }
 
-// the parentSub context variable gets updated when it's passed down
-Provider.childContextTypes = {
-  store: storeShape,
-  parentSub: subscriptionShape
+// the root of the Subscription tree, it only passes notifications on. the root containers
+// all set state inside one batchedUpdates, so React renders them in a single pass
+function createProviderState(store) {
+  const subscription = new Subscription(store, null, () =>
+    batchedUpdates(() => subscription.notifyNestedSubs())
+  );
+
+  return {
+    store,
+    subscription,
+    contextValue: { store, parentSub: subscription }
+  };
+}
+
+Provider.propTypes = {
+  store: storeShape.isRequired,
+  context: PropTypes.object,
+  children: PropTypes.element.isRequired
+}
+
+// every storeKey gets a context of its own, created the first time it is asked for. the
+// default 'store' key is ReactReduxContext
+const storeKeyContexts = { store: ReactReduxContext };
+
+function getStoreKeyContext(storeKey) {
+  if (!storeKeyContexts.hasOwnProperty(storeKey)) {
+    storeKeyContexts[storeKey] = React.createContext(null);
+  }
+  return storeKeyContexts[storeKey];
+}
+
+// createProvider(storeKey) makes a Provider that puts the store under another key, to be
+// paired with connect's storeKey option. it is a shorthand for a custom context that
+// both sides find by name
+export function createProvider(storeKey = 'store') {
+  if (storeKey === 'store') return Provider;
+
+  const Context = getStoreKeyContext(storeKey);
+  function KeyedProvider(props) {
+    return React.createElement(Provider, { ...props, context: Context });
+  }
+  KeyedProvider.displayName = `Provider(${storeKey})`;
+
+  return KeyedProvider;
 }
 
 // Redux's connect function is a higher order function that returns a higher order component
 // this high order component will then return the container component
-HOC = connect(mapStateToProps, mapDispatchToProps)
+// HOC = connect(mapStateToProps, mapDispatchToProps)
 
 // the container component is aware of the redux store and will inject props
 // derived from a mapping function into the wrapped presentational Component
 // these mapping functions are known as mapState & DispatchToProps respectively
-Container = HOC(wrappedComponent)
+// Container = HOC(wrappedComponent)
 
 
 
 // a selector is a function that selects props from source data including store.state
 // and store.dispatch
 
-function simpleSelector(nextState, nextOwnProps) {
-  var stateProps = mapStateToProps(nextState, nextOwnProps)
-  var dispatchProps = mapDispatchToProps(dispatch, nextOwnProps)
-
-  var mergedProps = {
-    ...stateProps,
-    ...dispatchProps,
-    ...nextOwnProps,
-  }
-
-  return mergedProps;
-}
+// function simpleSelector(nextState, nextOwnProps) {
+//   var stateProps = mapStateToProps(nextState, nextOwnProps)
+//   var dispatchProps = mapDispatchToProps(dispatch, nextOwnProps)
+//
+//   var mergedProps = {
+//     ...stateProps,
+//     ...dispatchProps,
+//     ...nextOwnProps,
+//   }
+//
+//   return mergedProps;
+// }
 
 // the above selector works with the Connect component but every time the container
 // receives new props from its parent or when onStateChange is triggered it will call
@@ -149,6 +824,267 @@ function simpleSelector(nextState, nextOwnProps) {
 // by the selector, and the selector has full control over the mergedProps you can
 // assign shouldComponentUpdate checking to the selector itself
 
+
+// shallowEqual compares two objects one level deep, which is exactly how props behave:
+// a container only cares whether each prop is the same value as last time
+const hasOwn = Object.prototype.hasOwnProperty;
+
+function is(x, y) {
+  if (x === y) {
+    return x !== 0 || y !== 0 || 1 / x === 1 / y;
+  }
+  // NaN is the only value not equal to itself
+  return x !== x && y !== y; // eslint-disable-line no-self-compare
+}
+
+export function shallowEqual(objA, objB) {
+  if (is(objA, objB)) return true;
+
+  if (typeof objA !== 'object' || objA === null ||
+      typeof objB !== 'object' || objB === null) {
+    return false;
+  }
+
+  const keysA = Object.keys(objA);
+  const keysB = Object.keys(objB);
+
+  if (keysA.length !== keysB.length) return false;
+
+  for (let i = 0; i < keysA.length; i++) {
+    if (!hasOwn.call(objB, keysA[i]) || !is(objA[keysA[i]], objB[keysA[i]])) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+const strictEqual = (a, b) => a === b;
+
+// a mapping function with exactly one argument doesn't look at ownProps, so it only
+// has to run again when its other input changes. (...args) style functions have a
+// length of 0 and are treated as depending on ownProps to be safe
+function getDependsOnOwnProps(mapToProps) {
+  return mapToProps.dependsOnOwnProps !== undefined
+    ? Boolean(mapToProps.dependsOnOwnProps)
+    : mapToProps.length !== 1;
+}
+
+// the default merge keeps the order of simpleSelector, ownProps win over the rest
+// connect's mergeProps argument replaces it
+function defaultMergeProps(stateProps, dispatchProps, ownProps) {
+  return { ...stateProps, ...dispatchProps, ...ownProps };
+}
+
+const noStateProps = () => ({});
+noStateProps.dependsOnOwnProps = false;
+
+// a mapping function may also be a factory: when its first call returns a function
+// instead of props, that function becomes the mapping function of this one container.
+// this gives every instance its own memoized selectors, e.g.
+//
+// const makeMapStateToProps = () => {
+//   const selectVisibleTodos = createSelector(...)
+//   return (state, ownProps) => ({ todos: selectVisibleTodos(state, ownProps) })
+// }
+//
+// the proxy is made per container, dependsOnOwnProps is only known after the first call
+function wrapMapToPropsFunc(mapToProps) {
+  const proxy = function mapToPropsProxy(stateOrDispatch, ownProps) {
+    return proxy.dependsOnOwnProps
+      ? proxy.mapToProps(stateOrDispatch, ownProps)
+      : proxy.mapToProps(stateOrDispatch);
+  }
+
+  // the first call always gets ownProps, a factory may want them
+  proxy.dependsOnOwnProps = true;
+
+  proxy.mapToProps = function detectFactoryAndVerify(stateOrDispatch, ownProps) {
+    proxy.mapToProps = mapToProps;
+    proxy.dependsOnOwnProps = getDependsOnOwnProps(mapToProps);
+    let props = proxy(stateOrDispatch, ownProps);
+
+    if (typeof props === 'function') {
+      proxy.mapToProps = props;
+      proxy.dependsOnOwnProps = getDependsOnOwnProps(props);
+      props = proxy(stateOrDispatch, ownProps);
+    }
+
+    return props;
+  }
+
+  return proxy;
+}
+
+// mapDispatchToProps comes in three forms, each is turned into a plain mapping function
+// 1.) a function (dispatch, ownProps) => dispatchProps, used as it is
+// 2.) an object of action creators, bound to dispatch once
+// 3.) nothing at all, the wrapped component just gets dispatch as a prop
+function wrapMapDispatchToProps(mapDispatchToProps) {
+  if (typeof mapDispatchToProps === 'function') {
+    return mapDispatchToProps;
+  }
+
+  if (mapDispatchToProps === undefined || mapDispatchToProps === null) {
+    const injectDispatch = dispatch => ({ dispatch });
+    injectDispatch.dependsOnOwnProps = false;
+    return injectDispatch;
+  }
+
+  if (typeof mapDispatchToProps === 'object') {
+    Object.keys(mapDispatchToProps).forEach(key => {
+      if (typeof mapDispatchToProps[key] !== 'function') {
+        throw new Error(
+          `mapDispatchToProps object expected the value for key "${key}" to be an ` +
+          `action creator function, instead received ${typeof mapDispatchToProps[key]}.`
+        );
+      }
+    });
+
+    const bindToDispatch = dispatch => bindActionCreators(mapDispatchToProps, dispatch);
+    bindToDispatch.dependsOnOwnProps = false;
+    return bindToDispatch;
+  }
+
+  throw new Error(
+    `Invalid value of type ${typeof mapDispatchToProps} for mapDispatchToProps argument. ` +
+    'Expected a function, an object of action creators or nothing.'
+  );
+}
+
+// with pure: false every run is a new mergedProps object, the same as simpleSelector
+function impureSelectorFactory(dispatch, mapStateToProps, mapDispatchToProps, mergeProps) {
+  return function impureFinalPropsSelector(state, ownProps) {
+    return mergeProps(
+      mapStateToProps(state, ownProps),
+      mapDispatchToProps(dispatch, ownProps),
+      ownProps
+    );
+  }
+}
+
+// selectorFactory is the memoized version of simpleSelector. it keeps the last state,
+// ownProps and results in its closure and only calls the mapping functions again when
+// their inputs changed. when nothing changed it returns the previous mergedProps object
+// so the identity check in makeStatefulSelector sees no change and skips the render
+//
+// options:
+// areStatesEqual(next, prev)           strict equal by default, store state is immutable
+// areOwnPropsEqual(next, prev)         shallowEqual by default
+// areStatePropsEqual(next, prev)       shallowEqual by default, a new object from
+//                                      mapStateToProps with the same values is ignored
+// areMergedPropsEqual(next, prev)      shallowEqual by default
+// pure                                 when false none of the above is used
+function selectorFactory(dispatch, mapStateToProps, mapDispatchToProps, mergeProps, options = {}) {
+  // connect(null) means the container doesn't care about state at all
+  mapStateToProps = wrapMapToPropsFunc(mapStateToProps || noStateProps);
+  mapDispatchToProps = wrapMapToPropsFunc(wrapMapDispatchToProps(mapDispatchToProps));
+
+  if (!mergeProps) {
+    mergeProps = defaultMergeProps;
+  }
+
+  if (options.pure === false) {
+    return impureSelectorFactory(dispatch, mapStateToProps, mapDispatchToProps, mergeProps);
+  }
+
+  const {
+    areStatesEqual = strictEqual,
+    areOwnPropsEqual = shallowEqual,
+    areStatePropsEqual = shallowEqual,
+    areMergedPropsEqual = shallowEqual
+  } = options;
+
+  let hasRunAtLeastOnce = false;
+  let state;
+  let ownProps;
+  let stateProps;
+  let dispatchProps;
+  let mergedProps;
+
+  // the proxies only pass ownProps on when the mapping function reads them
+  function computeStateProps() {
+    return mapStateToProps(state, ownProps);
+  }
+
+  function computeDispatchProps() {
+    return mapDispatchToProps(dispatch, ownProps);
+  }
+
+  // only keep the new mergedProps if they actually differ from the last ones
+  function computeMergedProps() {
+    const nextMergedProps = mergeProps(stateProps, dispatchProps, ownProps);
+    if (!hasRunAtLeastOnce || !areMergedPropsEqual(nextMergedProps, mergedProps)) {
+      mergedProps = nextMergedProps;
+    }
+    return mergedProps;
+  }
+
+  function handleFirstCall(firstState, firstOwnProps) {
+    state = firstState;
+    ownProps = firstOwnProps;
+    stateProps = computeStateProps();
+    dispatchProps = computeDispatchProps();
+    mergedProps = computeMergedProps();
+    hasRunAtLeastOnce = true;
+    return mergedProps;
+  }
+
+  // both inputs changed, e.g. the parent re-rendered because of the same dispatch
+  function handleNewPropsAndNewState() {
+    stateProps = computeStateProps();
+
+    if (mapDispatchToProps.dependsOnOwnProps) {
+      dispatchProps = computeDispatchProps();
+    }
+
+    return computeMergedProps();
+  }
+
+  function handleNewProps() {
+    if (mapStateToProps.dependsOnOwnProps) {
+      stateProps = computeStateProps();
+    }
+
+    if (mapDispatchToProps.dependsOnOwnProps) {
+      dispatchProps = computeDispatchProps();
+    }
+
+    return computeMergedProps();
+  }
+
+  // mapDispatchToProps never has to run for a store update
+  function handleNewState() {
+    const nextStateProps = computeStateProps();
+    const statePropsChanged = !areStatePropsEqual(nextStateProps, stateProps);
+    stateProps = nextStateProps;
+
+    if (statePropsChanged) {
+      return computeMergedProps();
+    }
+
+    return mergedProps;
+  }
+
+  function handleSubsequentCalls(nextState, nextOwnProps) {
+    const propsChanged = !areOwnPropsEqual(nextOwnProps, ownProps);
+    const stateChanged = !areStatesEqual(nextState, state);
+    state = nextState;
+    ownProps = nextOwnProps;
+
+    if (propsChanged && stateChanged) return handleNewPropsAndNewState();
+    if (propsChanged) return handleNewProps();
+    if (stateChanged) return handleNewState();
+    return mergedProps;
+  }
+
+  return function pureFinalPropsSelector(nextState, nextOwnProps) {
+    return hasRunAtLeastOnce
+      ? handleSubsequentCalls(nextState, nextOwnProps)
+      : handleFirstCall(nextState, nextOwnProps);
+  }
+}
+
 function makeStatefulSelector(selector, store) {
   //wrap the selector in an object that tracks its results between runs
 
@@ -177,18 +1113,68 @@ function makeStatefulSelector(selector, store) {
 // 1.) ownProps, its own props received as JSX <Container prop1={abc} prop2={def} />
 // 2.) stateProps derived from mapStateToProps with store.state
 // 3.) DispatchProps derived from mapDispatchToProps with store.dispatch
+//
+// mergeProps(stateProps, dispatchProps, ownProps) decides how the three are combined,
+// by default it spreads them in that order so ownProps win
+//
+// options:
+// pure             when false the selector runs the mapping functions on every update
+//                  and skips all the equality checks (default true)
+// forwardRef       a ref on the container is forwarded to the wrapped component
+// context          a custom React context, see Provider's context prop
+// storeKey         reads the store of a createProvider(storeKey) instead (default 'store')
+// getDisplayName   name => displayName of the container (default `Connect(${name})`)
+// areStatesEqual, areOwnPropsEqual, areStatePropsEqual, areMergedPropsEqual
+//                  see selectorFactory
 export function connect(
   mapStateToProps,
-  mapDispatchToProps
+  mapDispatchToProps,
+  mergeProps,
+  options = {}
 ) {
   // connectHOC is the function that return the higher order component connected to the store
-  return connectHOC(mapStateToProps, mapDispatchToProps)
+  return connectHOC(mapStateToProps, mapDispatchToProps, mergeProps, options)
 }
 
-function connectHOC(mapStateToProps, mapDispatchToProps) {
+function noop() {}
+
+function getDisplayNameDefault(name) {
+  return `Connect(${name})`;
+}
+
+// this prop is only used between the forwardRef wrapper and Connect, it is never part
+// of ownProps
+const FORWARDED_REF_PROP = 'forwardedRef';
+
+function connectHOC(mapStateToProps, mapDispatchToProps, mergeProps, options = {}) {
+  const {
+    forwardRef = false,
+    context = null,
+    storeKey = 'store',
+    getDisplayName = getDisplayNameDefault,
+    ...selectorOptions
+  } = options;
+
+  if (context && storeKey !== 'store') {
+    throw new Error(
+      'connect expects either a context or a storeKey, a storeKey already stands for ' +
+      'a context of its own.'
+    );
+  }
+
+  const Context = context || getStoreKeyContext(storeKey);
+
+  // normalize it here so a bad mapDispatchToProps throws when connect is called
+  mapDispatchToProps = wrapMapDispatchToProps(mapDispatchToProps);
+
+  // a container without mapStateToProps never needs to hear about the store
+  const shouldHandleStateChanges = Boolean(mapStateToProps);
 
   // wrapWithConnect is the higher order Component
   return function wrapWithConnect(WrappedComponent) {
+    const wrappedComponentName = WrappedComponent.displayName
+      || WrappedComponent.name
+      || 'Component';
 
     // Connect is the container component that returns the presentational component
     // originally it had two main functions, now it has 2 more
@@ -197,38 +1183,81 @@ function connectHOC(mapStateToProps, mapDispatchToProps) {
     // 2.) it calls mSTP and mDTP functions to get the mergedProps to be injected into
     // the wrapped component
     // 3.) in the constructor is uses parentSub to configure its own subscription
-    // 4.) in getChildContext it replaces the parent subscription with it's own so
-    // its children can get access to it
+    // 4.) in render it wraps the WrappedComponent in a nested context Provider that
+    // replaces the parent subscription with it's own so its children can get access to it
     class Connect extends React.Component {
-      constructor(props, context) {
-        super(props, context)
-        this.store = context.store;
-        this.initSelector();
+      constructor(props, contextValue) {
+        super(props, contextValue)
 
+        // Connect.contextType hands the context value to the constructor
+        this.store = contextValue && contextValue.store;
 
-        // get parents' Subscription instance from context
-        const parentSub = this.context.parentSub;
+        if (!this.store) {
+          throw new Error(
+            `Could not find "store" in the context of "${Connect.displayName}". ` +
+            `Either wrap the root component in a <Provider>, or pass a custom React ` +
+            `context to both the Provider and connect.`
+          );
+        }
 
-        //init own Subscription instance based on parents' Subscription
-        this.subscription = new Subscription(this.store, parentSub, this.onStateChange.bind(this))
+        this.applyConnection(this.createConnection(contextValue, props));
       }
 
-      initSelector() {
+      // everything that depends on the store: the selector, the Subscription and the
+      // context value for the children. creating it has no side effects, nothing
+      // subscribes before componentDidMount or componentDidUpdate
+      createConnection(contextValue, props) {
+        const { store, parentSub } = contextValue;
+
         // selector: { reduxStore.state + ownProps } => injected mergedProps
-        // this.selector = simpleSelector;
-        const selector = selectorFactory(this.store.dispatch, mapStateToProps, mapDispatchToProps)
-        this.selector = makeStatefulSelector(selector, this.store);
-        // init the mergedProps for initial render
-        this.selector.run(this.props);
+        const selector = makeStatefulSelector(
+          selectorFactory(
+            store.dispatch, mapStateToProps, mapDispatchToProps, mergeProps, selectorOptions
+          ),
+          store
+        );
+        // init the mergedProps for the render
+        selector.run(getOwnProps(props));
+
+        // get parents' Subscription instance from context
+        //init own Subscription instance based on parents' Subscription
+        // a container that doesn't handle state changes passes its parent's down instead
+        const subscription = shouldHandleStateChanges
+          ? new Subscription(store, parentSub, this.onStateChange.bind(this))
+          : null;
+
+        return {
+          store,
+          selector,
+          subscription,
+          // children reading the context get our subscription as their parentSub
+          childContextValue: { store, parentSub: subscription || parentSub }
+        };
       }
 
-      getChildContext() {
-        // replace parentSub context for child component w/ own Subscription instance
-        return { parentSub: this.subscription }
+      applyConnection({ store, selector, subscription, childContextValue }) {
+        this.store = store;
+        this.selector = selector;
+        this.subscription = subscription;
+        this.childContextValue = childContextValue;
       }
 
+      // subscribing waits until here and never happens in the constructor or render:
+      // renderToString doesn't call componentDidMount, so a server render leaves no
+      // listener behind on the request's store
       componentDidMount() {
+        this.subscribeAndCheckForUpdates();
+      }
+
+      // the store may have been dispatched to between render and subscribing, e.g. by a
+      // child's componentDidMount, so the selector runs once more after subscribing
+      subscribeAndCheckForUpdates() {
+        if (!shouldHandleStateChanges) return;
         this.subscription.trySubscribe();
+        this.selector.run(getOwnProps(this.props));
+        if (this.selector.shouldComponentUpdate) {
+          this.forceUpdate();
+        }
       }
 
       // when oSC gets called it resets itself, then uses its own subscription to notify
@@ -240,14 +1269,19 @@ function connectHOC(mapStateToProps, mapDispatchToProps) {
 
       // data source 1: store state change
       onStateChange() {
+        // the store may still call a root container from its listener snapshot right
+        // after it unmounted
+        if (!this.subscription) return;
+
         // this.selectorProps = this.selector(store.state, nextProps)
         // line above replaced
-        this.selector.run(this.props);
+        this.selector.run(getOwnProps(this.props));
         if (!this.selector.shouldComponentUpdate) {
           // if it does not get a re-render, we still need to notify the nested subscription
           this.subscription.notifyNestedSubs();
         } else {
-          this.componentDidUpdate.this.notifyNestedSubsOnComponentDidUpdate;
+          // only this update notifies, not a normal update (e.g. parent's re-render)
+          this.shouldNotifyNestedSubs = true;
           this.setState({})
 
 
@@ -257,55 +1291,264 @@ function connectHOC(mapStateToProps, mapDispatchToProps) {
         }
       }
 
+      // unsubscribe from the parent (or the store) and stop the selector so nothing
+      // calls setState on an unmounted component
+      componentWillUnmount() {
+        if (this.subscription) this.subscription.tryUnsubscribe();
+        this.subscription = null;
+        this.selector.run = noop;
+        this.selector.shouldComponentUpdate = false;
+      }
+
       notifyNestedSubsOnComponentDidUpdate() {
-        this.componentDidUpdate = undefined; // umimplement it to avoid notification due to
-        // normal update(e.g. parent's re-render)
+        this.shouldNotifyNestedSubs = false;
         this.subscription.notifyNestedSubs();
       }
 
       // data source 2: ownProps change
-      componentWillReceiveProps(nextProps) {
-        this.selectorProps = this.selector(store.state, nextProps)
-      }
+      // data source 3: a new store from the Provider
+      // a context change skips shouldComponentUpdate, so render checks the store itself
+      shouldComponentUpdate(nextProps) {
+        if (nextProps !== this.props) {
+          this.selector.run(getOwnProps(nextProps));
+        }
 
-      shouldComponentUpdate() {
         //rely on stateful selector, prevent unnesccesary re-render
         return this.selector.shouldComponentUpdate;
       }
 
+      // the Provider got a new store and render used a connection to it: it takes over
+      // here, the old subscription goes and the new one subscribes. children update
+      // first, so they subscribe first, just like when mounting
       componentDidUpdate() {
+        if (this.nextConnection) {
+          const previousSubscription = this.subscription;
+          this.applyConnection(this.nextConnection);
+          this.nextConnection = null;
+          if (previousSubscription) previousSubscription.tryUnsubscribe();
+          this.shouldNotifyNestedSubs = false;
+          this.subscribeAndCheckForUpdates();
+          return;
+        }
+
         //after the current component get updated, please notify the nested subscription
-        this.subscription.notifyNestedSubs();
+        if (this.shouldNotifyNestedSubs) {
+          this.notifyNestedSubsOnComponentDidUpdate();
+        }
       }
 
       render() {
-        const selector = this.selector;
+        let { selector, childContextValue } = this;
+
+        // a new store from the Provider. render only builds a connection to it and renders
+        // with that, the container keeps its store and subscription until
+        // componentDidUpdate. a render React throws away leaves nothing behind
+        this.nextConnection = null;
+        if (this.context.store !== this.store) {
+          this.nextConnection = this.createConnection(this.context, this.props);
+          ({ selector, childContextValue } = this.nextConnection);
+        }
+
         selector.shouldComponentUpdate = false; // reset the flag of selector
         //container's true job is to inject mergedProps into the WrappedComponent
-        // replaced with this.selectorProps
+        // replaced with the props tracked by the stateful selector
         // const mergedProps = stateAndDispatchMerge();
 
-        return React.createElement(WrappedComponent, this.selectorProps)
+        const forwardedRef = this.props[FORWARDED_REF_PROP];
+        const element = React.createElement(
+          WrappedComponent,
+          forwardedRef ? { ...selector.props, ref: forwardedRef } : selector.props
+        )
         // get mergedProps from selector
+
+        // replace parentSub context for child component w/ own Subscription instance
+        return React.createElement(Context.Provider, { value: childContextValue }, element)
       }
     }
 
+    Connect.displayName = getDisplayName(wrappedComponentName);
+    Connect.WrappedComponent = WrappedComponent;
+
+    // the context exposed to the Connect container itself, the closest Provider or
+    // container above it fills in the store and parentSub
+    Connect.contextType = Context;
+
+    if (!forwardRef) return Connect;
 
-    // the context exposed to the Connect container itself
-    Connect.contextTypes = {
-      store: storeShape,
-      parentSub: subscriptionShape,
+    // React only hands a ref to a forwardRef component, so it is passed on as a prop
+    const Connected = React.forwardRef(function forwardConnectRef(props, ref) {
+      return React.createElement(Connect, { ...props, [FORWARDED_REF_PROP]: ref });
+    });
+    Connected.displayName = Connect.displayName;
+    Connected.WrappedComponent = WrappedComponent;
+
+    return Connected;
+  }
+}
+
+// strip the prop only the forwardRef wrapper uses, what is left is ownProps for the
+// mapping functions
+function getOwnProps(props) {
+  if (!(FORWARDED_REF_PROP in props)) return props;
+
+  const { [FORWARDED_REF_PROP]: forwardedRef, ...ownProps } = props;
+  return ownProps;
+}
+
+
+// hooks are the function component version of connect. they read { store, parentSub }
+// from ReactReduxContext, which Provider and every container fill in, so a component
+// using useSelector gets notified by the closest container above it, after that
+// container rendered, just like a nested container would be
+//
+// const count = useSelector(state => state.count)
+// const dispatch = useDispatch()
+
+// layout effects subscribe before the browser paints, but they warn during server
+// rendering where effects never run anyway
+const useIsomorphicLayoutEffect =
+  typeof window !== 'undefined' && typeof window.document !== 'undefined'
+    ? useLayoutEffect
+    : useEffect;
+
+function useReduxContext(Context, hookName) {
+  const contextValue = useContext(Context);
+
+  if (!contextValue) {
+    throw new Error(
+      `could not find react-redux context value; please ensure ${hookName} ` +
+      'is used inside a <Provider>'
+    );
+  }
+
+  return contextValue;
+}
+
+export function createStoreHook(Context = ReactReduxContext) {
+  return function useStore() {
+    return useReduxContext(Context, 'useStore').store;
+  }
+}
+
+export const useStore = createStoreHook();
+
+export function createDispatchHook(Context = ReactReduxContext) {
+  const useContextStore = createStoreHook(Context);
+  return function useDispatch() {
+    return useContextStore().dispatch;
+  }
+}
+
+export const useDispatch = createDispatchHook();
+
+// the selected value is computed during render, so the selector always sees the latest
+// props (no stale props). the subscription callback only checks whether a re-render is
+// needed. if the selector throws there, e.g. because the parent is about to unmount this
+// component after removing the data it reads (a "zombie child"), the error is kept and
+// the selector runs again during render. by then the parent already re-rendered, so the
+// child either got new props or is gone, and only a real error is thrown
+function useSelectorWithStoreAndSubscription(selector, equalityFn, store, parentSub) {
+  const [, forceRender] = useReducer(count => count + 1, 0);
+
+  const subscription = useMemo(
+    () => new Subscription(store, parentSub),
+    [store, parentSub]
+  );
+
+  const latestSubscriptionCallbackError = useRef();
+  const latestSelector = useRef();
+  const latestStoreState = useRef();
+  const latestSelectedState = useRef();
+
+  const storeState = store.getState();
+  let selectedState;
+
+  try {
+    if (
+      selector !== latestSelector.current ||
+      storeState !== latestStoreState.current ||
+      latestSubscriptionCallbackError.current
+    ) {
+      const newSelectedState = selector(storeState);
+      // keep the previous reference when it's equal, so memoized children don't re-render
+      if (
+        latestSelectedState.current === undefined ||
+        !equalityFn(newSelectedState, latestSelectedState.current)
+      ) {
+        selectedState = newSelectedState;
+      } else {
+        selectedState = latestSelectedState.current;
+      }
+    } else {
+      selectedState = latestSelectedState.current;
+    }
+  } catch (err) {
+    if (latestSubscriptionCallbackError.current) {
+      err.message += `\nThe error may be correlated with this previous error:\n` +
+        `${latestSubscriptionCallbackError.current.stack}\n\n`;
+    }
+
+    throw err;
+  }
+
+  useIsomorphicLayoutEffect(() => {
+    latestSelector.current = selector;
+    latestStoreState.current = storeState;
+    latestSelectedState.current = selectedState;
+    latestSubscriptionCallbackError.current = undefined;
+  });
+
+  useIsomorphicLayoutEffect(() => {
+    function checkForUpdates() {
+      try {
+        const newStoreState = store.getState();
+        // nothing to do when the state didn't change since the last render
+        if (newStoreState === latestStoreState.current) {
+          return;
+        }
+
+        const newSelectedState = latestSelector.current(newStoreState);
+        if (equalityFn(newSelectedState, latestSelectedState.current)) {
+          return;
+        }
+
+        latestSelectedState.current = newSelectedState;
+        latestStoreState.current = newStoreState;
+      } catch (err) {
+        // re-render so the selector runs again with the latest props, see above
+        latestSubscriptionCallbackError.current = err;
+      }
+
+      forceRender();
     }
 
-    // replace the context of parentSub for the child component
-    Connect.childContextTypes = {
-      parentSub: subscriptionShape,
+    subscription.onStateChange = checkForUpdates;
+    subscription.trySubscribe();
+
+    // the store may have changed between render and subscribing
+    checkForUpdates();
+
+    return () => subscription.tryUnsubscribe();
+  }, [store, subscription]);
+
+  return selectedState;
+}
+
+const refEquality = (a, b) => a === b;
+
+export function createSelectorHook(Context = ReactReduxContext) {
+  return function useSelector(selector, equalityFn = refEquality) {
+    if (typeof selector !== 'function') {
+      throw new Error('You must pass a selector to useSelector');
     }
 
-    return Connect;
+    const { store, parentSub } = useReduxContext(Context, 'useSelector');
+    return useSelectorWithStoreAndSubscription(selector, equalityFn, store, parentSub);
   }
 }
 
+export const useSelector = createSelectorHook();
+
 
 // version 2
 // // it seems like components should subscribe to the store during componentDidMount
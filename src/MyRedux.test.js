@@ -0,0 +1,625 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import { act } from 'react-dom/test-utils';
+import {
+  createStore,
+  connect,
+  createProvider,
+  Provider,
+  batch,
+  batchedSubscribe,
+  thunk,
+  shallowEqual,
+  useSelector,
+  useDispatch,
+  useStore
+} from './MyRedux';
+import { configureMockStore, renderWithStore } from './MyTestUtils';
+
+const increment = () => ({ type: 'INCREMENT' });
+
+function counter(state = { count: 0, label: 'count' }, action) {
+  switch (action.type) {
+    case 'INCREMENT':
+      return { ...state, count: state.count + 1 };
+    case 'RENAME':
+      return { ...state, label: action.label };
+    case 'TOUCH':
+      // a new state object with the same values
+      return { ...state };
+    default:
+      return state;
+  }
+}
+
+// counts the store listeners that are currently subscribed
+function trackSubscriptions(store) {
+  const tracked = { active: 0 };
+  const subscribe = store.subscribe;
+  tracked.store = {
+    ...store,
+    subscribe(listener) {
+      tracked.active++;
+      const unsubscribe = subscribe(listener);
+      let subscribed = true;
+      return () => {
+        if (subscribed) tracked.active--;
+        subscribed = false;
+        unsubscribe();
+      }
+    }
+  };
+  return tracked;
+}
+
+describe('configureMockStore', () => {
+  it('records the actions dispatched through the middlewares', () => {
+    const mockStore = configureMockStore([thunk]);
+    const store = mockStore({ count: 1 });
+
+    store.dispatch((dispatch, getState) => {
+      dispatch(increment());
+      dispatch({ type: 'RENAME', label: `at ${getState().count}` });
+    });
+
+    expect(store.getActions()).toEqual([
+      { type: 'INCREMENT' },
+      { type: 'RENAME', label: 'at 1' }
+    ]);
+
+    store.clearActions();
+    expect(store.getActions()).toEqual([]);
+  });
+
+  it('computes the state from the recorded actions', () => {
+    const store = configureMockStore()(actions => ({ count: actions.length }));
+    store.dispatch(increment());
+    store.dispatch(increment());
+    expect(store.getState()).toEqual({ count: 2 });
+  });
+
+  it('rejects actions that are not objects without a middleware', () => {
+    const store = configureMockStore()();
+    expect(() => store.dispatch(() => {})).toThrow(/plain objects/);
+  });
+});
+
+describe('Subscription ordering', () => {
+  it('notifies a parent container before its children', () => {
+    const calls = [];
+    const Child = connect(state => {
+      calls.push('child');
+      return { count: state.count };
+    })(({ count }) => <span>{count}</span>);
+    const Parent = connect(state => {
+      calls.push('parent');
+      return { label: state.label };
+    })(({ label }) => <div>{label}: <Child /></div>);
+
+    // children mount, and so subscribe, before their parent
+    const { store, container } = renderWithStore(<Parent />, { reducer: counter });
+    calls.length = 0;
+
+    store.dispatch(increment());
+
+    expect(calls).toEqual(['parent', 'child']);
+    expect(container.textContent).toBe('count: 1');
+  });
+
+  it('does not run the selector of a child its parent stopped rendering', () => {
+    function todos(state = { ids: [1], byId: { 1: 'first' } }, action) {
+      return action.type === 'REMOVE' ? { ids: [], byId: {} } : state;
+    }
+
+    // would throw for a removed todo if it ran before the parent re-rendered
+    const Todo = connect((state, { id }) => ({ text: state.byId[id].toUpperCase() }))(
+      ({ text }) => <li>{text}</li>
+    );
+    const TodoList = connect(state => ({ ids: state.ids }))(({ ids }) => (
+      <ul>{ids.map(id => <Todo key={id} id={id} />)}</ul>
+    ));
+
+    const { store, container } = renderWithStore(<TodoList />, { reducer: todos });
+    expect(container.textContent).toBe('FIRST');
+
+    expect(() => store.dispatch({ type: 'REMOVE' })).not.toThrow();
+    expect(container.textContent).toBe('');
+  });
+
+  it('notifies sibling trees in the order they subscribed', () => {
+    const calls = [];
+    const make = name => connect(state => {
+      calls.push(name);
+      return { count: state.count };
+    })(({ count }) => <span>{count}</span>);
+    const First = make('first');
+    const Second = make('second');
+
+    const { store } = renderWithStore(<div><First /><Second /></div>, { reducer: counter });
+    calls.length = 0;
+
+    store.dispatch(increment());
+    expect(calls).toEqual(['first', 'second']);
+  });
+});
+
+describe('Connect shouldComponentUpdate', () => {
+  function setup(mapStateToProps, options) {
+    let renders = 0;
+    const Counter = connect(mapStateToProps, null, null, options)(props => {
+      renders++;
+      return <span>{props.count}</span>;
+    });
+    return { Counter, renders: () => renders };
+  }
+
+  it('skips rendering when the mapped props did not change', () => {
+    const { Counter, renders } = setup(state => ({ count: state.count }));
+    const { store } = renderWithStore(<Counter />, { reducer: counter });
+
+    store.dispatch({ type: 'RENAME', label: 'clicks' });
+    store.dispatch({ type: 'TOUCH' });
+    expect(renders()).toBe(1);
+
+    store.dispatch(increment());
+    expect(renders()).toBe(2);
+  });
+
+  it('skips rendering when the parent re-renders with equal props', () => {
+    const { Counter, renders } = setup((state, ownProps) => ({ count: state.count + ownProps.step }));
+    const { rerender, container } = renderWithStore(<Counter step={1} />, { reducer: counter });
+
+    rerender(<Counter step={1} />);
+    expect(renders()).toBe(1);
+
+    rerender(<Counter step={2} />);
+    expect(renders()).toBe(2);
+    expect(container.textContent).toBe('2');
+  });
+
+  it('renders on every parent render and state change with pure: false', () => {
+    const { Counter, renders } = setup(state => ({ count: state.count }), { pure: false });
+    const { store, rerender } = renderWithStore(<Counter />, { reducer: counter });
+    const rendersAfterMount = renders();
+
+    rerender(<Counter />);
+    store.dispatch({ type: 'TOUCH' });
+    expect(renders()).toBe(rendersAfterMount + 2);
+  });
+});
+
+describe('unmount cleanup', () => {
+  it('unsubscribes every container from the store', () => {
+    const tracked = trackSubscriptions(createStore(counter));
+    const Child = connect(state => ({ count: state.count }))(({ count }) => <span>{count}</span>);
+    const Parent = connect(state => ({ label: state.label }))(() => <div><Child /><Child /></div>);
+
+    const { unmount } = renderWithStore(<Parent />, { store: tracked.store });
+    expect(tracked.active).toBe(1);
+
+    unmount();
+    expect(tracked.active).toBe(0);
+  });
+
+  it('stops running the selectors of unmounted containers', () => {
+    let runs = 0;
+    const Counter = connect(state => {
+      runs++;
+      return { count: state.count };
+    })(({ count }) => <span>{count}</span>);
+    const Toggle = connect(state => ({ show: state.count < 1 }))(({ show }) => (
+      show ? <Counter /> : null
+    ));
+
+    const { store, container } = renderWithStore(<Toggle />, { reducer: counter });
+    const runsWhileMounted = runs;
+
+    store.dispatch(increment());
+    expect(container.textContent).toBe('');
+    store.dispatch(increment());
+    store.dispatch(increment());
+
+    expect(runs).toBe(runsWhileMounted);
+  });
+
+  it('does not warn about updates on an unmounted component', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const Counter = connect(state => ({ count: state.count }))(({ count }) => <span>{count}</span>);
+    const { store, unmount } = renderWithStore(<Counter />, { reducer: counter });
+
+    unmount();
+    act(() => {
+      store.dispatch(increment());
+    });
+
+    expect(error).not.toHaveBeenCalled();
+    error.mockRestore();
+  });
+});
+
+describe('selectorFactory equality rules', () => {
+  it('does not run mapStateToProps when areStatesEqual says the state is equal', () => {
+    let runs = 0;
+    const Label = connect(
+      state => {
+        runs++;
+        return { label: state.label };
+      },
+      null,
+      null,
+      { areStatesEqual: (next, prev) => next.label === prev.label }
+    )(({ label }) => <span>{label}</span>);
+
+    const { store, container } = renderWithStore(<Label />, { reducer: counter });
+    store.dispatch(increment());
+    expect(runs).toBe(1);
+
+    store.dispatch({ type: 'RENAME', label: 'clicks' });
+    expect(runs).toBe(2);
+    expect(container.textContent).toBe('clicks');
+  });
+
+  it('keeps the props when areStatePropsEqual says they are equal', () => {
+    let renders = 0;
+    const Counter = connect(
+      state => ({ parity: { even: state.count % 2 === 0 } }),
+      null,
+      null,
+      { areStatePropsEqual: (next, prev) => next.parity.even === prev.parity.even }
+    )(({ parity }) => {
+      renders++;
+      return <span>{String(parity.even)}</span>;
+    });
+
+    const { store, container } = renderWithStore(<Counter />, { reducer: counter });
+    store.dispatch(increment());
+    expect(renders).toBe(2);
+    expect(container.textContent).toBe('false');
+
+    // a new parity object with the same value
+    store.dispatch({ type: 'TOUCH' });
+    expect(renders).toBe(2);
+  });
+
+  it('ignores own props changes that areOwnPropsEqual considers equal', () => {
+    let renders = 0;
+    const Counter = connect(
+      (state, ownProps) => ({ count: state.count, tag: ownProps.tag }),
+      null,
+      null,
+      { areOwnPropsEqual: (next, prev) => next.tag === prev.tag }
+    )(({ count }) => {
+      renders++;
+      return <span>{count}</span>;
+    });
+
+    const { rerender } = renderWithStore(<Counter tag="a" onClick={() => {}} />, {
+      reducer: counter
+    });
+    rerender(<Counter tag="a" onClick={() => {}} />);
+    expect(renders).toBe(1);
+
+    rerender(<Counter tag="b" onClick={() => {}} />);
+    expect(renders).toBe(2);
+  });
+
+  it('keeps the merged props when areMergedPropsEqual says they are equal', () => {
+    let renders = 0;
+    const Counter = connect(
+      state => ({ count: state.count }),
+      null,
+      (stateProps, dispatchProps, ownProps) => ({ big: stateProps.count > 1, ...ownProps }),
+      { areMergedPropsEqual: (next, prev) => next.big === prev.big }
+    )(({ big }) => {
+      renders++;
+      return <span>{String(big)}</span>;
+    });
+
+    const { store, container } = renderWithStore(<Counter />, { reducer: counter });
+    store.dispatch(increment());
+    expect(renders).toBe(1);
+
+    store.dispatch(increment());
+    expect(renders).toBe(2);
+    expect(container.textContent).toBe('true');
+  });
+
+  it('does not rerun a mapStateToProps that ignores own props when only they change', () => {
+    let runs = 0;
+    const Counter = connect(state => {
+      runs++;
+      return { count: state.count };
+    })(({ count, tag }) => <span>{tag}{count}</span>);
+
+    const { rerender, container } = renderWithStore(<Counter tag="a" />, { reducer: counter });
+    rerender(<Counter tag="b" />);
+
+    expect(runs).toBe(1);
+    expect(container.textContent).toBe('b0');
+  });
+
+  it('gives every instance its own selector when mapStateToProps is a factory', () => {
+    const instances = [];
+    const makeMapStateToProps = () => {
+      const instance = { runs: 0 };
+      instances.push(instance);
+      return (state, ownProps) => {
+        instance.runs++;
+        return { value: state.count * ownProps.factor };
+      };
+    };
+    const Scaled = connect(makeMapStateToProps)(({ value }) => <span>{value}</span>);
+
+    const { store, container } = renderWithStore(
+      <div><Scaled factor={2} /><Scaled factor={3} /></div>,
+      { reducer: counter }
+    );
+    store.dispatch(increment());
+
+    expect(instances.length).toBe(2);
+    expect(instances.map(instance => instance.runs)).toEqual([2, 2]);
+    expect(container.textContent).toBe('23');
+  });
+});
+
+describe('createProvider and storeKey', () => {
+  it('connects a container to the store of its storeKey', () => {
+    const AdminProvider = createProvider('adminStore');
+    const appStore = createStore(counter);
+    const adminStore = createStore(counter, { count: 7, label: 'admin' });
+    const Label = connect(state => ({ label: state.label }))(({ label }) => <span>{label}</span>);
+    const AdminLabel = connect(state => ({ label: state.label }), null, null, {
+      storeKey: 'adminStore'
+    })(({ label }) => <span>{label}</span>);
+
+    const { container } = renderWithStore(
+      <AdminProvider store={adminStore}>
+        <div><Label /><AdminLabel /></div>
+      </AdminProvider>,
+      { store: appStore }
+    );
+    expect(container.textContent).toBe('countadmin');
+
+    act(() => {
+      adminStore.dispatch({ type: 'RENAME', label: 'root' });
+    });
+    expect(container.textContent).toBe('countroot');
+  });
+
+  it('keeps Provider for the default store key', () => {
+    expect(createProvider()).toBe(Provider);
+  });
+});
+
+describe('Provider store swap', () => {
+  it('re-renders and re-subscribes the containers to a new store', () => {
+    const first = trackSubscriptions(createStore(counter));
+    const second = trackSubscriptions(createStore(counter, { count: 10, label: 'other' }));
+    const Child = connect(state => ({ count: state.count }))(({ count }) => <span>{count}</span>);
+    const Parent = connect(state => ({ label: state.label }))(({ label }) => (
+      <div>{label}: <Child /></div>
+    ));
+    const container = document.createElement('div');
+    const render = store => act(() => {
+      ReactDOM.render(<Provider store={store}><Parent /></Provider>, container);
+    });
+
+    render(first.store);
+    expect(container.textContent).toBe('count: 0');
+    expect(first.active).toBe(1);
+
+    render(second.store);
+    expect(container.textContent).toBe('other: 10');
+    expect(first.active).toBe(0);
+    expect(second.active).toBe(1);
+
+    act(() => {
+      first.store.dispatch(increment());
+    });
+    expect(container.textContent).toBe('other: 10');
+
+    act(() => {
+      second.store.dispatch(increment());
+      second.store.dispatch({ type: 'RENAME', label: 'swapped' });
+    });
+    expect(container.textContent).toBe('swapped: 11');
+
+    act(() => {
+      ReactDOM.unmountComponentAtNode(container);
+    });
+    expect(second.active).toBe(0);
+  });
+});
+
+describe('batchedSubscribe', () => {
+  it('notifies once for all the dispatches before batchFn calls back', () => {
+    const scheduled = [];
+    const store = createStore(counter, batchedSubscribe(notify => scheduled.push(notify)));
+    const listener = jest.fn();
+    store.subscribe(listener);
+
+    store.dispatch(increment());
+    store.dispatch(increment());
+    store.dispatch(increment());
+    expect(scheduled.length).toBe(1);
+    expect(listener).not.toHaveBeenCalled();
+
+    scheduled[0]();
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    store.dispatch(increment());
+    expect(scheduled.length).toBe(2);
+  });
+
+  it('schedules again after a batchFn that threw', () => {
+    let failing = true;
+    const store = createStore(counter, batchedSubscribe(notify => {
+      if (failing) throw new Error('no frame');
+      notify();
+    }));
+    const listener = jest.fn();
+    store.subscribe(listener);
+
+    expect(() => store.dispatch(increment())).toThrow('no frame');
+    failing = false;
+    store.dispatch(increment());
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('notifies the next dispatch after a listener threw', () => {
+    const store = createStore(counter, batchedSubscribe());
+    const listener = jest.fn(() => {
+      if (store.getState().count === 1) throw new Error('broken listener');
+    });
+    store.subscribe(listener);
+
+    expect(() => store.dispatch(increment())).toThrow('broken listener');
+    store.dispatch(increment());
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('batch', () => {
+  it('notifies the containers once for all the dispatches inside it, nested ones too', () => {
+    const mapStateToProps = jest.fn(state => ({ count: state.count }));
+    let renders = 0;
+    const Count = connect(mapStateToProps)(({ count }) => {
+      renders++;
+      return <span>{count}</span>;
+    });
+
+    const { store, container } = renderWithStore(<Count />, { reducer: counter });
+    mapStateToProps.mockClear();
+    renders = 0;
+
+    act(() => {
+      batch(() => {
+        store.dispatch(increment());
+        batch(() => {
+          store.dispatch(increment());
+          store.dispatch(increment());
+        });
+        expect(mapStateToProps).not.toHaveBeenCalled();
+      });
+    });
+
+    expect(mapStateToProps).toHaveBeenCalledTimes(1);
+    expect(renders).toBe(1);
+    expect(container.textContent).toBe('3');
+  });
+
+  it('notifies a parent container before its children when it ends', () => {
+    const calls = [];
+    const Child = connect(state => {
+      calls.push('child');
+      return { count: state.count };
+    })(({ count }) => <span>{count}</span>);
+    const Parent = connect(state => {
+      calls.push('parent');
+      return { label: state.label };
+    })(({ label }) => <div>{label}: <Child /></div>);
+
+    const { store, container } = renderWithStore(<Parent />, { reducer: counter });
+    calls.length = 0;
+
+    act(() => {
+      batch(() => {
+        store.dispatch(increment());
+        store.dispatch({ type: 'RENAME', label: 'total' });
+      });
+    });
+
+    expect(calls).toEqual(['parent', 'child']);
+    expect(container.textContent).toBe('total: 1');
+  });
+});
+
+describe('hooks', () => {
+  it('re-renders a useSelector component only when the selected value changes', () => {
+    let renders = 0;
+    const Count = () => {
+      renders++;
+      return <span>{useSelector(state => state.count)}</span>;
+    };
+
+    const { store, container } = renderWithStore(<Count />, { reducer: counter });
+    expect(container.textContent).toBe('0');
+
+    act(() => {
+      store.dispatch({ type: 'RENAME', label: 'total' });
+    });
+    expect(renders).toBe(1);
+
+    act(() => {
+      store.dispatch(increment());
+    });
+    expect(renders).toBe(2);
+    expect(container.textContent).toBe('1');
+  });
+
+  it('compares the selected value with equalityFn', () => {
+    let renders = 0;
+    const Count = () => {
+      renders++;
+      const { count } = useSelector(state => ({ count: state.count }), shallowEqual);
+      return <span>{count}</span>;
+    };
+
+    const { store } = renderWithStore(<Count />, { reducer: counter });
+    act(() => {
+      store.dispatch({ type: 'TOUCH' });
+    });
+    expect(renders).toBe(1);
+  });
+
+  it('gives useDispatch and useStore the store of the Provider', () => {
+    let hooks;
+    const Probe = () => {
+      hooks = { dispatch: useDispatch(), store: useStore() };
+      return <span>{useSelector(state => state.count)}</span>;
+    };
+
+    const { store, container } = renderWithStore(<Probe />, { reducer: counter });
+    expect(hooks.store).toBe(store);
+    expect(hooks.dispatch).toBe(store.dispatch);
+
+    act(() => {
+      hooks.dispatch(increment());
+    });
+    expect(container.textContent).toBe('1');
+  });
+
+  it('throws outside a Provider', () => {
+    const Count = () => <span>{useSelector(state => state.count)}</span>;
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      expect(() => {
+        ReactDOM.render(<Count />, document.createElement('div'));
+      }).toThrow(/useSelector is used inside a <Provider>/);
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+
+  it('does not throw for a child whose parent just removed its item', () => {
+    function todos(state = { ids: [1], byId: { 1: 'first' } }, action) {
+      return action.type === 'REMOVE' ? { ids: [], byId: {} } : state;
+    }
+
+    // throws for a removed todo, children subscribe before their parent so it runs first
+    const Todo = ({ id }) => <li>{useSelector(state => state.byId[id].toUpperCase())}</li>;
+    const TodoList = () => {
+      const ids = useSelector(state => state.ids);
+      return <ul>{ids.map(id => <Todo key={id} id={id} />)}</ul>;
+    };
+
+    const { store, container } = renderWithStore(<TodoList />, { reducer: todos });
+    expect(container.textContent).toBe('FIRST');
+
+    expect(() => act(() => {
+      store.dispatch({ type: 'REMOVE' });
+    })).not.toThrow();
+    expect(container.textContent).toBe('');
+  });
+});
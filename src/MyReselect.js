@@ -0,0 +1,156 @@
+// a memoized selector computes derived data from the state tree, e.g. a filtered list,
+// and only recomputes when its inputs change. this matters for connect: makeStatefulSelector
+// and the selectorFactory equality checks compare props by identity, so a mapStateToProps
+// that builds a new array on every call makes the container re-render on every dispatch
+//
+// const selectVisibleTodos = createSelector(
+//   [state => state.todos, state => state.visibilityFilter],
+//   (todos, filter) => todos.filter(todo => filter === 'all' || todo.status === filter)
+// )
+//
+// the input selectors run on every call, the result function only runs when one of
+// their results changed, otherwise the previous result (same reference) is returned
+
+export function defaultEqualityCheck(a, b) {
+  return a === b;
+}
+
+function areArgumentsShallowlyEqual(equalityCheck, prev, next) {
+  if (prev === null || next === null || prev.length !== next.length) {
+    return false;
+  }
+
+  for (let i = 0; i < prev.length; i++) {
+    if (!equalityCheck(prev[i], next[i])) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// defaultMemoize remembers the results of the last maxSize calls, the least recently
+// used entry is dropped first. a cache size above 1 helps a selector shared by several
+// containers with different arguments, e.g. one per list item
+export function defaultMemoize(func, equalityCheck = defaultEqualityCheck, maxSize = 1) {
+  if (maxSize < 1) {
+    throw new Error(`maxSize must be at least 1, instead received ${maxSize}`);
+  }
+
+  // most recently used first
+  let entries = [];
+
+  return function memoized(...args) {
+    for (let i = 0; i < entries.length; i++) {
+      if (areArgumentsShallowlyEqual(equalityCheck, entries[i].args, args)) {
+        const entry = entries[i];
+        if (i > 0) {
+          entries.splice(i, 1);
+          entries.unshift(entry);
+        }
+        return entry.result;
+      }
+    }
+
+    const result = func(...args);
+    entries.unshift({ args, result });
+    if (entries.length > maxSize) {
+      entries.pop();
+    }
+
+    return result;
+  }
+}
+
+function getDependencies(funcs) {
+  const dependencies = Array.isArray(funcs[0]) ? funcs[0] : funcs;
+
+  if (!dependencies.every(dep => typeof dep === 'function')) {
+    const dependencyTypes = dependencies.map(dep => typeof dep).join(', ');
+    throw new Error(
+      'Selector creators expect all input-selectors to be functions, ' +
+      `instead received the following types: [${dependencyTypes}]`
+    );
+  }
+
+  return dependencies;
+}
+
+// createSelectorCreator(memoize, ...memoizeOptions) makes a createSelector that uses a
+// different memoize function, or the default one with other options
+export function createSelectorCreator(memoize, ...memoizeOptions) {
+  return function createSelector(...funcs) {
+    // the last argument may be an options object: { memoizeOptions }
+    let selectorOptions = {};
+    if (typeof funcs[funcs.length - 1] === 'object' && !Array.isArray(funcs[funcs.length - 1])) {
+      selectorOptions = funcs.pop();
+    }
+
+    const resultFunc = funcs.pop();
+    if (typeof resultFunc !== 'function') {
+      throw new Error(
+        `createSelector expects an output function after the inputs, ` +
+        `but received: [${typeof resultFunc}]`
+      );
+    }
+
+    const dependencies = getDependencies(funcs);
+
+    // { memoizeOptions: { equalityCheck, maxSize } } for defaultMemoize, or a list of
+    // arguments for a custom memoize
+    let finalMemoizeOptions = memoizeOptions;
+    if (selectorOptions.memoizeOptions !== undefined) {
+      const { memoizeOptions: options } = selectorOptions;
+      if (memoize === defaultMemoize && !Array.isArray(options)) {
+        finalMemoizeOptions = [options.equalityCheck, options.maxSize];
+      } else {
+        finalMemoizeOptions = Array.isArray(options) ? options : [options];
+      }
+    }
+
+    let recomputations = 0;
+
+    const memoizedResultFunc = memoize(function (...args) {
+      recomputations++;
+      return resultFunc(...args);
+    }, ...finalMemoizeOptions);
+
+    // the input selectors get the same arguments as the selector, e.g. (state, ownProps)
+    const selector = memoize(function (...args) {
+      const params = dependencies.map(dependency => dependency(...args));
+      return memoizedResultFunc(...params);
+    });
+
+    selector.resultFunc = resultFunc;
+    selector.dependencies = dependencies;
+    selector.recomputations = () => recomputations;
+    selector.resetRecomputations = () => {
+      recomputations = 0;
+    };
+
+    return selector;
+  }
+}
+
+export const createSelector = createSelectorCreator(defaultMemoize);
+
+// createStructuredSelector({ todos: selectTodos, filter: selectFilter }) returns a
+// selector for { todos, filter }, which is exactly what mapStateToProps returns. the
+// object only changes when one of the values did
+export function createStructuredSelector(selectors, selectorCreator = createSelector) {
+  if (typeof selectors !== 'object' || selectors === null) {
+    throw new Error(
+      'createStructuredSelector expects first argument to be an object ' +
+      `where each property is a selector, instead received a ${typeof selectors}`
+    );
+  }
+
+  const keys = Object.keys(selectors);
+  return selectorCreator(
+    keys.map(key => selectors[key]),
+    (...values) => values.reduce((composition, value, index) => {
+      composition[keys[index]] = value;
+      return composition;
+    }, {})
+  );
+}
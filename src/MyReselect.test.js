@@ -0,0 +1,148 @@
+import {
+  defaultMemoize,
+  createSelector,
+  createSelectorCreator,
+  createStructuredSelector
+} from './MyReselect';
+
+describe('defaultMemoize', () => {
+  it('remembers the last call by default', () => {
+    const square = jest.fn(x => x * x);
+    const memoized = defaultMemoize(square);
+
+    memoized(2);
+    memoized(2);
+    memoized(3);
+    memoized(2);
+
+    expect(square.mock.calls).toEqual([[2], [3], [2]]);
+  });
+
+  it('drops the least recently used entry beyond maxSize', () => {
+    const square = jest.fn(x => x * x);
+    const memoized = defaultMemoize(square, undefined, 2);
+
+    memoized(1);
+    memoized(2);
+    // 1 is used again, so 2 is the least recently used one when 3 comes in
+    memoized(1);
+    memoized(3);
+    square.mockClear();
+
+    memoized(1);
+    memoized(3);
+    expect(square).not.toHaveBeenCalled();
+
+    memoized(2);
+    expect(square.mock.calls).toEqual([[2]]);
+  });
+
+  it('compares the arguments with equalityCheck', () => {
+    const byId = (a, b) => a.id === b.id;
+    const name = jest.fn(user => user.name);
+    const memoized = defaultMemoize(name, byId);
+
+    expect(memoized({ id: 1, name: 'Ada' })).toBe('Ada');
+    expect(memoized({ id: 1, name: 'renamed' })).toBe('Ada');
+    expect(name).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a maxSize below 1', () => {
+    expect(() => defaultMemoize(x => x, undefined, 0)).toThrow(/maxSize must be at least 1/);
+  });
+});
+
+describe('createSelector', () => {
+  const selectTodos = state => state.todos;
+  const selectFilter = state => state.filter;
+  const state = {
+    todos: [{ text: 'write tests', done: true }, { text: 'ship', done: false }],
+    filter: 'done',
+    other: 0
+  };
+
+  function createVisibleTodosSelector() {
+    return createSelector(
+      [selectTodos, selectFilter],
+      (todos, filter) => todos.filter(todo => filter === 'all' || todo.done)
+    );
+  }
+
+  it('only recomputes when an input changed', () => {
+    const selectVisibleTodos = createVisibleTodosSelector();
+
+    const visible = selectVisibleTodos(state);
+    expect(visible).toEqual([state.todos[0]]);
+    expect(selectVisibleTodos({ ...state, other: 1 })).toBe(visible);
+    expect(selectVisibleTodos.recomputations()).toBe(1);
+
+    selectVisibleTodos({ ...state, filter: 'all' });
+    selectVisibleTodos({ ...state, filter: 'all', other: 2 });
+    expect(selectVisibleTodos.recomputations()).toBe(2);
+
+    selectVisibleTodos.resetRecomputations();
+    expect(selectVisibleTodos.recomputations()).toBe(0);
+  });
+
+  it('takes the inputs as arguments as well and passes the props to them', () => {
+    const selectTodo = createSelector(
+      selectTodos,
+      (state, props) => props.index,
+      (todos, index) => todos[index].text.toUpperCase()
+    );
+
+    expect(selectTodo(state, { index: 1 })).toBe('SHIP');
+    expect(selectTodo(state, { index: 1 })).toBe('SHIP');
+    expect(selectTodo.recomputations()).toBe(1);
+  });
+
+  it('caches more results with memoizeOptions.maxSize', () => {
+    const selectTodo = createSelector(
+      selectTodos,
+      (state, index) => index,
+      (todos, index) => todos[index],
+      { memoizeOptions: { maxSize: 2 } }
+    );
+
+    selectTodo(state, 0);
+    selectTodo(state, 1);
+    selectTodo(state, 0);
+    selectTodo(state, 1);
+    expect(selectTodo.recomputations()).toBe(2);
+  });
+
+  it('uses the memoize of createSelectorCreator', () => {
+    const memoize = jest.fn(defaultMemoize);
+    const createCustomSelector = createSelectorCreator(memoize, undefined, 3);
+
+    createCustomSelector(selectTodos, todos => todos.length);
+
+    expect(memoize.mock.calls[0].slice(1)).toEqual([undefined, 3]);
+  });
+
+  it('rejects inputs that are not functions', () => {
+    expect(() => createSelector([selectTodos, 'filter'], () => {})).toThrow(
+      'Selector creators expect all input-selectors to be functions, ' +
+      'instead received the following types: [function, string]'
+    );
+  });
+});
+
+describe('createStructuredSelector', () => {
+  it('returns the same object until one of the values changed', () => {
+    const selectProps = createStructuredSelector({
+      count: state => state.count,
+      label: state => state.label
+    });
+    const state = { count: 1, label: 'total', other: 0 };
+
+    const props = selectProps(state);
+    expect(props).toEqual({ count: 1, label: 'total' });
+    expect(selectProps({ ...state, other: 1 })).toBe(props);
+    expect(selectProps({ ...state, count: 2 })).toEqual({ count: 2, label: 'total' });
+  });
+
+  it('rejects anything but an object of selectors', () => {
+    expect(() => createStructuredSelector(null)).toThrow(/expects first argument to be an object/);
+  });
+});
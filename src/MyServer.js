@@ -0,0 +1,67 @@
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { Provider } from './MyRedux';
+
+// server rendering sends the first paint as HTML together with the state it was
+// rendered from, the client then creates its store from that state and hydrates the
+// markup instead of rendering it again
+//
+// app.get('*', (req, res) => {
+//   // a new store for every request, one user's state must never reach another's page
+//   const store = configureStore();
+//   store.dispatch(setLocale(req.acceptsLanguages()[0]));
+//
+//   const { html, stateScript } = renderToStringWithStore(<App />, store);
+//   res.send(template.replace(
+//     '<div id="root"></div>',
+//     `<div id="root">${html}</div>${stateScript}`
+//   ));
+// });
+//
+// data the page needs has to be in the store before rendering, renderToString doesn't
+// wait for anything: dispatch the thunks first and render once their promises resolve
+
+export const PRELOADED_STATE_KEY = '__PRELOADED_STATE__';
+
+// JSON is almost valid inside a script tag, but the state can contain user input:
+// "</script><script>..." would end the tag early, and U+2028 and U+2029 are line
+// breaks in JavaScript (before ES2019) while JSON allows them inside strings. escaping
+// every < also covers <!-- which changes how the script contents are parsed
+export function serializeState(state) {
+  return JSON.stringify(state)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+export function renderStateScript(state, key = PRELOADED_STATE_KEY) {
+  return `<script>window.${key} = ${serializeState(state)};</script>`;
+}
+
+// containers only subscribe in componentDidMount, which never runs on the server. the
+// store handed to the tree doesn't take subscriptions either, so even a component that
+// subscribes while rendering can't keep the request's store (and everything it holds)
+// alive after the response was sent
+function createServerStore(store) {
+  return {
+    ...store,
+    subscribe: () => () => {}
+  }
+}
+
+// renders element inside a Provider for store and returns the markup, the state it was
+// rendered from and the script tag that hands that state to the client
+export function renderToStringWithStore(element, store, { context, key } = {}) {
+  const html = renderToString(
+    <Provider store={createServerStore(store)} context={context}>
+      {element}
+    </Provider>
+  );
+  const state = store.getState();
+
+  return {
+    html,
+    state,
+    stateScript: renderStateScript(state, key)
+  }
+}
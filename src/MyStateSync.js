@@ -0,0 +1,252 @@
+// keeps several tabs of the app in sync by sending actions between them. an action that
+// passes the predicate is broadcast after the local reducer handled it, and every other
+// tab dispatches it into its own store. the state isn't copied, the same actions are
+// simply replayed, so every tab runs its own reducers
+//
+// const store = createStore(rootReducer, compose(applyMiddleware(thunk), syncTabs({
+//   predicate: action => action.type === 'LOGOUT' || action.type.startsWith('settings/')
+// })))
+//
+// syncTabs should be the last (innermost) enhancer: then it sees every plain action that
+// reaches the reducer, including the ones a thunk dispatched. actions from another tab
+// go straight to the reducer and skip the middleware, so a tab doesn't repeat the side
+// effects another tab already ran
+//
+// received actions carry meta.syncedFrom with the id of the sending tab. those are never
+// broadcast again, which is what stops two tabs from echoing an action back and forth
+
+// the channel is BroadcastChannel where it exists, the storage event otherwise: writing
+// a localStorage key fires a storage event in every other tab of the same origin
+function createBroadcastChannelTransport(name) {
+  const channel = new window.BroadcastChannel(name);
+
+  return {
+    post: message => channel.postMessage(message),
+    listen: handler => {
+      channel.onmessage = event => handler(event.data);
+    },
+    close: () => channel.close()
+  }
+}
+
+function createStorageTransport(name) {
+  const key = `mystatesync:${name}`;
+  let handler = null;
+
+  function onStorage(event) {
+    if (event.key !== key || !event.newValue || !handler) return;
+    handler(JSON.parse(event.newValue).message);
+  }
+
+  window.addEventListener('storage', onStorage);
+
+  return {
+    post: message => {
+      // the nonce makes every write a change, even when the same action is sent twice
+      window.localStorage.setItem(key, JSON.stringify({ message, nonce: Math.random() }));
+      window.localStorage.removeItem(key);
+    },
+    listen: nextHandler => {
+      handler = nextHandler;
+    },
+    close: () => window.removeEventListener('storage', onStorage)
+  }
+}
+
+function createDefaultTransport(name) {
+  if (typeof window !== 'undefined' && typeof window.BroadcastChannel === 'function') {
+    return createBroadcastChannelTransport(name);
+  }
+
+  if (typeof window !== 'undefined' && window.localStorage) {
+    return createStorageTransport(name);
+  }
+
+  throw new Error('Neither BroadcastChannel nor localStorage is available to sync tabs.');
+}
+
+// internal actions (@@myredux/INIT, @@mypersist/REHYDRATE, ...) stay in their own tab
+function defaultPredicate(action) {
+  return typeof action.type === 'string' && action.type.indexOf('@@') !== 0;
+}
+
+// ids start with the time the tab opened, so comparing them as strings prefers the
+// oldest tab as leader
+function createTabId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// createTabSync(options) returns { enhancer, isLeader, subscribe, leaderOnly, close }
+//
+// options:
+// channelName          tabs only talk to tabs with the same name (default 'myredux')
+// predicate(action)    which actions to send to the other tabs
+// leaderElection       elect one leader among the open tabs (default false)
+// heartbeatInterval    ms between "still here" messages while electing (default 1000)
+// createTransport(name)  { post, listen, close }, replaces BroadcastChannel/storage
+// onError(err)         called when an action can't be sent, e.g. it isn't serializable
+//
+// with leaderElection on, every tab sends a heartbeat and the oldest tab that was heard
+// from in the last three intervals is the leader. when the leader tab closes, or stops
+// sending heartbeats because it crashed, the next oldest takes over. leaderOnly wraps a
+// middleware so it only runs in the leader tab, e.g. polling or a websocket connection:
+//
+// const tabSync = createTabSync({ leaderElection: true })
+// createStore(reducer, compose(applyMiddleware(tabSync.leaderOnly(pollingMiddleware)), tabSync.enhancer))
+export function createTabSync(options = {}) {
+  const {
+    channelName = 'myredux',
+    predicate = defaultPredicate,
+    leaderElection = false,
+    heartbeatInterval = 1000,
+    createTransport = createDefaultTransport,
+    onError = err => console.error(err)
+  } = options;
+
+  const tabId = createTabId();
+  const peers = {};
+  const leadershipListeners = [];
+  let transport = null;
+  let heartbeatTimer = null;
+  let leader = false;
+  let closed = false;
+
+  function post(message) {
+    try {
+      transport.post({ ...message, tabId });
+    } catch (err) {
+      onError(err);
+    }
+  }
+
+  function setLeader(nextLeader) {
+    if (nextLeader === leader) return;
+    leader = nextLeader;
+    leadershipListeners.slice().forEach(listener => listener(leader));
+  }
+
+  function electLeader() {
+    const now = Date.now();
+    const alive = Object.keys(peers).filter(
+      peerId => now - peers[peerId] <= heartbeatInterval * 3
+    );
+    setLeader(alive.every(peerId => tabId < peerId));
+  }
+
+  function startElection() {
+    post({ kind: 'heartbeat' });
+    // wait one interval before claiming leadership, the other tabs answer in between
+    heartbeatTimer = setInterval(() => {
+      post({ kind: 'heartbeat' });
+      electLeader();
+    }, heartbeatInterval);
+  }
+
+  function enhancer(createStore) {
+    return (...args) => {
+      const store = createStore(...args);
+
+      function receive(message) {
+        if (!message || message.tabId === tabId) return;
+
+        switch (message.kind) {
+          case 'action': {
+            const { action } = message;
+            store.dispatch({ ...action, meta: { ...action.meta, syncedFrom: message.tabId } });
+            break;
+          }
+
+          case 'heartbeat': {
+            // a new tab says hello, answer right away so it doesn't wait a whole interval
+            const isNewPeer = !peers[message.tabId];
+            peers[message.tabId] = Date.now();
+            if (isNewPeer && leaderElection) post({ kind: 'heartbeat' });
+            break;
+          }
+
+          case 'leave':
+            delete peers[message.tabId];
+            if (leaderElection) electLeader();
+            break;
+
+          default:
+        }
+      }
+
+      transport = createTransport(channelName);
+      transport.listen(receive);
+
+      if (leaderElection) {
+        startElection();
+      }
+
+      function dispatch(action) {
+        const result = store.dispatch(action);
+
+        const isRemote = action.meta && action.meta.syncedFrom;
+        if (!closed && !isRemote && predicate(action)) {
+          post({ kind: 'action', action });
+        }
+
+        return result;
+      }
+
+      return {
+        ...store,
+        dispatch,
+        tabSync
+      }
+    }
+  }
+
+  function leaderOnly(middleware) {
+    return middlewareAPI => {
+      const chain = middleware(middlewareAPI);
+      return next => {
+        const handle = chain(next);
+        return action => (leader ? handle(action) : next(action));
+      }
+    }
+  }
+
+  const tabSync = {
+    tabId,
+    enhancer,
+    leaderOnly,
+
+    isLeader: () => leader,
+
+    // listener(isLeader) is called whenever this tab gains or loses the leadership
+    subscribe(listener) {
+      leadershipListeners.push(listener);
+      return () => {
+        const index = leadershipListeners.indexOf(listener);
+        if (index !== -1) leadershipListeners.splice(index, 1);
+      }
+    },
+
+    // tell the other tabs this one is gone so a new leader takes over right away,
+    // called automatically when the page unloads
+    close() {
+      if (closed) return;
+      closed = true;
+      if (heartbeatTimer !== null) clearInterval(heartbeatTimer);
+      if (transport) {
+        post({ kind: 'leave' });
+        transport.close();
+      }
+      setLeader(false);
+    }
+  }
+
+  if (typeof window !== 'undefined' && window.addEventListener) {
+    window.addEventListener('beforeunload', () => tabSync.close());
+  }
+
+  return tabSync;
+}
+
+// the plain enhancer, for when the leader election isn't needed
+export function syncTabs(options) {
+  return createTabSync(options).enhancer;
+}
@@ -0,0 +1,237 @@
+import { createStore, applyMiddleware, compose } from './MyRedux';
+import { createTabSync } from './MyStateSync';
+
+function counter(state = 0, action) {
+  return action.type === 'INCREMENT' ? state + 1 : state;
+}
+
+const increment = () => ({ type: 'INCREMENT' });
+
+// a BroadcastChannel for the tabs of this test: a message reaches every other channel
+// of the same name, right away instead of in a later task
+class FakeBroadcastChannel {
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.open.push(this);
+  }
+
+  postMessage(data) {
+    FakeBroadcastChannel.posted.push(data);
+    FakeBroadcastChannel.open
+      .filter(channel => channel !== this && channel.name === this.name && channel.onmessage)
+      .forEach(channel => channel.onmessage({ data: JSON.parse(JSON.stringify(data)) }));
+  }
+
+  close() {
+    FakeBroadcastChannel.open.splice(FakeBroadcastChannel.open.indexOf(this), 1);
+  }
+}
+
+// the localStorage of the same origin: a write fires the storage event in the window.
+// all the tabs of the test share that window, so the sender hears its own writes too
+function createFakeLocalStorage() {
+  const items = {};
+
+  return {
+    getItem: key => (items.hasOwnProperty(key) ? items[key] : null),
+    setItem(key, value) {
+      items[key] = value;
+      const event = new window.Event('storage');
+      event.key = key;
+      event.newValue = value;
+      window.dispatchEvent(event);
+    },
+    removeItem(key) {
+      delete items[key];
+    }
+  };
+}
+
+let tabs;
+
+// a tab is a store of its own with syncing as the innermost enhancer. getMiddlewares
+// gets the tab's tabSync, for leaderOnly
+function openTab(options, getMiddlewares = () => [], reducer = counter) {
+  const tabSync = createTabSync(options);
+  const store = createStore(
+    reducer,
+    compose(applyMiddleware(...getMiddlewares(tabSync)), tabSync.enhancer)
+  );
+  tabs.push(tabSync);
+  return { tabSync, store };
+}
+
+beforeEach(() => {
+  tabs = [];
+  FakeBroadcastChannel.open = [];
+  FakeBroadcastChannel.posted = [];
+});
+
+afterEach(() => {
+  tabs.forEach(tabSync => tabSync.close());
+  delete window.BroadcastChannel;
+  delete window.localStorage;
+});
+
+describe('syncing actions', () => {
+  beforeEach(() => {
+    window.BroadcastChannel = FakeBroadcastChannel;
+  });
+
+  it('replays an action in the other tabs without echoing it back', () => {
+    const received = [];
+    const first = openTab();
+    const second = openTab(undefined, undefined, (state, action) => {
+      received.push(action);
+      return counter(state, action);
+    });
+
+    first.store.dispatch(increment());
+
+    expect(first.store.getState()).toBe(1);
+    expect(second.store.getState()).toBe(1);
+    expect(received[received.length - 1]).toEqual({
+      ...increment(),
+      meta: { syncedFrom: first.tabSync.tabId }
+    });
+    expect(FakeBroadcastChannel.posted).toEqual([
+      { kind: 'action', action: increment(), tabId: first.tabSync.tabId }
+    ]);
+  });
+
+  it('keeps internal actions local and replays received ones past the middleware', () => {
+    const seen = [];
+    const recorder = () => next => action => {
+      seen.push(action);
+      return next(action);
+    };
+    const first = openTab();
+    openTab(undefined, () => [recorder]);
+
+    first.store.dispatch({ type: '@@mypersist/REHYDRATE' });
+    first.store.dispatch(increment());
+
+    // received actions go straight to the reducer, past the middleware of the tab
+    expect(seen.map(action => action.type)).not.toContain('INCREMENT');
+    expect(FakeBroadcastChannel.posted.map(message => message.action.type)).toEqual(['INCREMENT']);
+  });
+
+  it('only sends the actions that pass the predicate', () => {
+    const first = openTab({ predicate: action => action.type === 'LOGOUT' });
+    const second = openTab();
+
+    first.store.dispatch(increment());
+    first.store.dispatch({ type: 'LOGOUT' });
+
+    expect(second.store.getState()).toBe(0);
+    expect(FakeBroadcastChannel.posted.map(message => message.action.type)).toEqual(['LOGOUT']);
+  });
+
+  it('reports an action that cannot be sent', () => {
+    const onError = jest.fn();
+    const first = openTab({
+      onError,
+      createTransport: () => ({
+        post: () => {
+          throw new Error('could not be cloned');
+        },
+        listen: () => {},
+        close: () => {}
+      })
+    });
+
+    expect(() => first.store.dispatch(increment())).not.toThrow();
+    expect(first.store.getState()).toBe(1);
+    expect(onError.mock.calls[0][0].message).toBe('could not be cloned');
+  });
+});
+
+describe('storage fallback', () => {
+  it('sends actions through localStorage without BroadcastChannel', () => {
+    window.localStorage = createFakeLocalStorage();
+    const first = openTab();
+    const second = openTab();
+
+    first.store.dispatch(increment());
+    second.store.dispatch(increment());
+
+    expect(first.store.getState()).toBe(2);
+    expect(second.store.getState()).toBe(2);
+    expect(window.localStorage.getItem('mystatesync:myredux')).toBe(null);
+  });
+});
+
+describe('leader election', () => {
+  let now;
+
+  beforeEach(() => {
+    window.BroadcastChannel = FakeBroadcastChannel;
+    jest.useFakeTimers();
+    now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+    jest.useRealTimers();
+  });
+
+  // opens a tab a moment after the previous one, so the tab ids sort by age
+  function openLeaderTab(getMiddlewares) {
+    now += 10;
+    return openTab({ leaderElection: true, heartbeatInterval: 100 }, getMiddlewares);
+  }
+
+  function advance(ms) {
+    now += ms;
+    jest.runTimersToTime(ms);
+  }
+
+  it('elects the oldest tab and lets the next one take over when it closes', () => {
+    const oldest = openLeaderTab();
+    const middle = openLeaderTab();
+    const newest = openLeaderTab();
+    const changes = [];
+    middle.tabSync.subscribe(isLeader => changes.push(isLeader));
+
+    expect(oldest.tabSync.isLeader()).toBe(false);
+    advance(100);
+    expect([oldest, middle, newest].map(tab => tab.tabSync.isLeader())).toEqual([true, false, false]);
+
+    oldest.tabSync.close();
+    expect(middle.tabSync.isLeader()).toBe(true);
+    expect(newest.tabSync.isLeader()).toBe(false);
+    expect(changes).toEqual([true]);
+  });
+
+  it('takes over from a leader that stopped sending heartbeats', () => {
+    const crashing = openLeaderTab();
+    const other = openLeaderTab();
+    advance(100);
+    expect(crashing.tabSync.isLeader()).toBe(true);
+
+    // the leader's page hangs: no more heartbeats, no leave message either
+    FakeBroadcastChannel.open[0].postMessage = () => {};
+    advance(300);
+    expect(other.tabSync.isLeader()).toBe(false);
+    advance(100);
+    expect(other.tabSync.isLeader()).toBe(true);
+  });
+
+  it('runs a leaderOnly middleware in the leader tab only', () => {
+    const polled = [];
+    const polling = name => () => next => action => {
+      polled.push(name);
+      return next(action);
+    };
+    const leader = openLeaderTab(tabSync => [tabSync.leaderOnly(polling('leader'))]);
+    const follower = openLeaderTab(tabSync => [tabSync.leaderOnly(polling('follower'))]);
+    advance(100);
+
+    leader.store.dispatch({ type: 'POLL' });
+    follower.store.dispatch({ type: 'POLL' });
+
+    expect(polled).toEqual(['leader']);
+  });
+});
@@ -0,0 +1,116 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import { act } from 'react-dom/test-utils';
+import { createStore, applyMiddleware, Provider } from './MyRedux';
+
+// helpers for testing action creators, middleware and connected components
+//
+// const mockStore = configureMockStore([thunk])
+// const store = mockStore({ todos: [] })
+// store.dispatch(fetchTodos())
+// expect(store.getActions()).toEqual([{ type: 'FETCH_TODOS_REQUEST' }])
+//
+// const { container, store } = renderWithStore(<TodoList />, {
+//   reducer: rootReducer,
+//   preloadedState: { todos: [{ id: 1, text: 'write tests' }] }
+// })
+
+// a mock store has no reducer, its state never changes. dispatched actions go through
+// the middlewares like in a real store and are recorded instead of reduced. state can
+// also be a function of the actions dispatched so far, for a thunk that reads the state
+// after its own dispatches
+export function configureMockStore(middlewares = []) {
+  return function mockStore(state = {}) {
+    let actions = [];
+    let listeners = [];
+
+    function createMockStore() {
+      return {
+        getState: () => (typeof state === 'function' ? state(actions) : state),
+
+        dispatch(action) {
+          if (typeof action !== 'object' || action === null) {
+            throw new Error(
+              'Actions must be plain objects. Use custom middleware for async actions.'
+            );
+          }
+
+          if (typeof action.type === 'undefined') {
+            throw new Error(
+              'Actions may not have an undefined "type" property. ' +
+              'Have you misspelled a constant?'
+            );
+          }
+
+          actions.push(action);
+          listeners.slice().forEach(listener => listener());
+          return action;
+        },
+
+        subscribe(listener) {
+          listeners.push(listener);
+          return () => {
+            listeners = listeners.filter(l => l !== listener);
+          }
+        },
+
+        replaceReducer() {
+          throw new Error('Mock stores do not support reducers, use createStore instead.');
+        }
+      }
+    }
+
+    const store = applyMiddleware(...middlewares)(createMockStore)();
+
+    return {
+      ...store,
+      getActions: () => actions,
+      clearActions: () => {
+        actions = [];
+      }
+    }
+  }
+}
+
+// renders ui inside a Provider into a detached container. pass a store to test against
+// one you configured yourself, otherwise one is created from reducer and preloadedState.
+// without a reducer the state stays the preloaded one
+export function renderWithStore(ui, options = {}) {
+  const {
+    preloadedState,
+    reducer = state => state,
+    store = createStore(reducer, preloadedState),
+    container = document.createElement('div')
+  } = options;
+
+  function renderUi(nextUi) {
+    act(() => {
+      ReactDOM.render(<Provider store={store}>{nextUi}</Provider>, container);
+    });
+  }
+
+  renderUi(ui);
+
+  return {
+    store,
+    container,
+    // render a different ui (or the same one with other props) into the same Provider
+    rerender: renderUi,
+    unmount: () => {
+      act(() => {
+        ReactDOM.unmountComponentAtNode(container);
+      });
+    }
+  }
+}
+
+// thunks, effects and middleware often continue over a chain of promise callbacks. this
+// resolves after `rounds` turns of the microtask queue, enough for those chains to
+// settle. it doesn't use timers, so it also works with jest's fake ones
+export function flushPromises(rounds = 20) {
+  let flushed = Promise.resolve();
+  for (let i = 0; i < rounds; i++) {
+    flushed = flushed.then(() => {});
+  }
+  return flushed;
+}
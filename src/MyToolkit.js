@@ -0,0 +1,365 @@
+// helpers that cut the boilerplate of a feature: the action type constants, the action
+// creators and the switch statement of the reducer
+//
+// const todosSlice = createSlice({
+//   name: 'todos',
+//   initialState: [],
+//   reducers: {
+//     todoAdded(state, action) {
+//       state.push({ text: action.payload, done: false })
+//     },
+//     todoToggled(state, action) {
+//       const todo = state[action.payload]
+//       todo.done = !todo.done
+//     }
+//   },
+//   extraReducers: builder => builder.addCase(logout, () => [])
+// })
+//
+// todosSlice.actions.todoAdded('write docs')  => { type: 'todos/todoAdded', payload: 'write docs' }
+// combineReducers({ todos: todosSlice.reducer })
+//
+// the case reducers look like they change the state, but they get a draft: a proxy that
+// records the changes and copies only the objects on the path to them. the reducer then
+// returns new objects for everything that changed and the very same ones for the rest,
+// which is what combineReducers and connect's identity checks rely on
+
+// drafts need Proxy, and every browser with Proxy has Symbol
+const DRAFT_STATE = Symbol('mytoolkit-draft-state');
+
+// only plain objects and arrays get drafts, anything else (Date, Map, class instances)
+// is treated as a value and has to be replaced instead of changed
+function isDraftable(value) {
+  if (Array.isArray(value)) return true;
+  if (typeof value !== 'object' || value === null) return false;
+
+  const proto = Object.getPrototypeOf(value);
+  return proto === null || proto === Object.prototype;
+}
+
+export function isDraft(value) {
+  return Boolean(value) && Boolean(value[DRAFT_STATE]);
+}
+
+function shallowCopy(value) {
+  return Array.isArray(value) ? value.slice() : { ...value };
+}
+
+function latest(state) {
+  return state.copy || state.base;
+}
+
+// the first change to a draft copies its base, and the base of every draft above it:
+// the path from the root to a change is made of new objects
+function markChanged(state) {
+  if (state.modified) return;
+  state.modified = true;
+  state.copy = shallowCopy(state.base);
+  if (state.parent) markChanged(state.parent);
+}
+
+function createDraft(base, parent) {
+  const state = {
+    base,
+    parent,
+    copy: null,
+    modified: false,
+    // drafts of the children that were read, by key
+    drafts: {}
+  };
+
+  const handler = {
+    get(target, prop) {
+      if (prop === DRAFT_STATE) return state;
+
+      if (state.drafts.hasOwnProperty(prop)) {
+        return state.drafts[prop];
+      }
+
+      const value = latest(state)[prop];
+      // a child from the base gets a draft of its own, a value assigned during this
+      // reducer call is already new and is handed out as it is
+      if (isDraftable(value) && value === state.base[prop]) {
+        const childDraft = createDraft(value, state);
+        state.drafts[prop] = childDraft;
+        return childDraft;
+      }
+
+      return value;
+    },
+
+    set(target, prop, value) {
+      const current = latest(state);
+      const unchanged = current[prop] === value && (value !== undefined || prop in current);
+      if (unchanged || (state.drafts[prop] === value && value !== undefined)) {
+        return true;
+      }
+
+      markChanged(state);
+      state.copy[prop] = value;
+      delete state.drafts[prop];
+      return true;
+    },
+
+    deleteProperty(target, prop) {
+      if (!(prop in latest(state))) return true;
+
+      markChanged(state);
+      delete state.copy[prop];
+      delete state.drafts[prop];
+      return true;
+    },
+
+    has(target, prop) {
+      return prop in latest(state);
+    },
+
+    ownKeys() {
+      return Reflect.ownKeys(latest(state));
+    },
+
+    getOwnPropertyDescriptor(target, prop) {
+      const owner = latest(state);
+      const descriptor = Reflect.getOwnPropertyDescriptor(owner, prop);
+      if (!descriptor) return descriptor;
+
+      // the proxy target is an empty object or array, only the length of an array is
+      // really there and has to keep its own attributes
+      const isArrayLength = Array.isArray(owner) && prop === 'length';
+      return {
+        writable: true,
+        configurable: !isArrayLength,
+        enumerable: descriptor.enumerable,
+        value: handler.get(target, prop)
+      };
+    },
+
+    defineProperty() {
+      throw new Error('Object.defineProperty() cannot be used on a draft.');
+    },
+
+    setPrototypeOf() {
+      throw new Error('Object.setPrototypeOf() cannot be used on a draft.');
+    }
+  };
+
+  return new Proxy(Array.isArray(base) ? [] : {}, handler);
+}
+
+// replaces every draft in value, also drafts that were put into new objects, e.g.
+// state.done = state.items.filter(item => item.done)
+function finalize(value) {
+  if (isDraft(value)) {
+    return finalizeDraft(value[DRAFT_STATE]);
+  }
+
+  if (isDraftable(value) && !Object.isFrozen(value)) {
+    Object.keys(value).forEach(key => {
+      const child = value[key];
+      const finalized = finalize(child);
+      if (finalized !== child) value[key] = finalized;
+    });
+  }
+
+  return value;
+}
+
+function finalizeDraft(state) {
+  if (!state.modified) return state.base;
+
+  const { base, copy, drafts } = state;
+  Object.keys(copy).forEach(key => {
+    const value = drafts.hasOwnProperty(key) ? drafts[key] : copy[key];
+    // values kept from the base can't contain drafts, only read or new ones can
+    if (value !== base[key] || drafts.hasOwnProperty(key)) {
+      copy[key] = finalize(value);
+    }
+  });
+
+  return copy;
+}
+
+// produce(base, recipe) calls recipe with a draft of base and returns the changed copy,
+// or base itself when recipe changed nothing. recipe may also return a whole new value
+export function produce(base, recipe) {
+  if (!isDraftable(base)) {
+    throw new Error(`produce expects a plain object or an array, instead received ${typeof base}.`);
+  }
+
+  const draft = createDraft(base, null);
+  const result = recipe(draft);
+
+  if (result !== undefined && result !== draft) {
+    if (draft[DRAFT_STATE].modified) {
+      throw new Error('A reducer either changes the draft or returns a new value, not both.');
+    }
+    return finalize(result);
+  }
+
+  return finalizeDraft(draft[DRAFT_STATE]);
+}
+
+// createAction(type, prepare) returns an action creator. without prepare the first
+// argument becomes the payload, prepare(...args) returns { payload, meta, error }
+//
+// const todoAdded = createAction('todos/add', text => ({ payload: { text, id: nextId() } }))
+// todoAdded.type === 'todos/add'
+// todoAdded.match(action)    true for actions it created, works as a matcher as well
+// `${todoAdded}`             the type again, so it can be a key in a case reducer map
+export function createAction(type, prepare) {
+  function actionCreator(...args) {
+    if (prepare) {
+      const prepared = prepare(...args);
+      if (!prepared) {
+        throw new Error(`The prepare callback of ${type} did not return an object.`);
+      }
+
+      const action = { type, payload: prepared.payload };
+      if ('meta' in prepared) action.meta = prepared.meta;
+      if ('error' in prepared) action.error = prepared.error;
+      return action;
+    }
+
+    return { type, payload: args[0] };
+  }
+
+  actionCreator.type = type;
+  actionCreator.toString = () => `${type}`;
+  actionCreator.match = action => Boolean(action) && action.type === type;
+
+  return actionCreator;
+}
+
+// the builder collects the case reducers in the order the reducer applies them: exact
+// action types first, then every matcher that matches, the default case when neither did
+function executeReducerBuilderCallback(builderCallback) {
+  const actionsMap = {};
+  const matchers = [];
+  let defaultCaseReducer;
+
+  const builder = {
+    addCase(typeOrActionCreator, reducer) {
+      if (matchers.length > 0 || defaultCaseReducer) {
+        throw new Error('builder.addCase should be called before addMatcher and addDefaultCase.');
+      }
+
+      const type = typeof typeOrActionCreator === 'string'
+        ? typeOrActionCreator
+        : typeOrActionCreator.type;
+      if (!type) {
+        throw new Error('builder.addCase expects an action type or an action creator.');
+      }
+      if (actionsMap.hasOwnProperty(type)) {
+        throw new Error(`builder.addCase cannot be called twice for the action type ${type}.`);
+      }
+
+      actionsMap[type] = reducer;
+      return builder;
+    },
+
+    // matcher(action) is a predicate or anything with a match method, e.g. an action creator
+    addMatcher(matcher, reducer) {
+      if (defaultCaseReducer) {
+        throw new Error('builder.addMatcher should be called before addDefaultCase.');
+      }
+
+      matchers.push({
+        match: typeof matcher.match === 'function' ? matcher.match : matcher,
+        reducer
+      });
+      return builder;
+    },
+
+    addDefaultCase(reducer) {
+      if (defaultCaseReducer) {
+        throw new Error('builder.addDefaultCase can only be called once.');
+      }
+
+      defaultCaseReducer = reducer;
+      return builder;
+    }
+  };
+
+  if (builderCallback) builderCallback(builder);
+
+  return { actionsMap, matchers, defaultCaseReducer };
+}
+
+// createReducer(initialState, builder => ...) builds a reducer out of case reducers.
+// a case reducer changes the draft it gets or returns the next state, for a state that
+// isn't an object or array (a number, a string, null) it has to return it
+export function createReducer(initialState, builderCallback) {
+  const { actionsMap, matchers, defaultCaseReducer } =
+    executeReducerBuilderCallback(builderCallback);
+
+  return function reducer(state = initialState, action) {
+    let caseReducers = [actionsMap[action.type]]
+      .concat(matchers.filter(matcher => matcher.match(action)).map(matcher => matcher.reducer))
+      .filter(Boolean);
+
+    if (caseReducers.length === 0 && defaultCaseReducer) {
+      caseReducers = [defaultCaseReducer];
+    }
+
+    return caseReducers.reduce((previousState, caseReducer) => {
+      if (isDraftable(previousState)) {
+        return produce(previousState, draft => caseReducer(draft, action));
+      }
+
+      const nextState = caseReducer(previousState, action);
+      if (nextState === undefined) {
+        if (previousState === null) return previousState;
+        throw new Error(
+          'A case reducer on a value that is not an object or array must return the ' +
+          'next state, even when it is the current one.'
+        );
+      }
+      return nextState;
+    }, state);
+  }
+}
+
+// createSlice({ name, initialState, reducers, extraReducers }) returns
+// { name, reducer, actions, caseReducers }
+//
+// every key of reducers becomes an action creator for the type `${name}/${key}` and a
+// case of the reducer. a reducer that needs a prepare callback is written as
+// { reducer, prepare }. extraReducers(builder) handles actions of other slices
+export function createSlice({ name, initialState, reducers = {}, extraReducers }) {
+  if (!name) {
+    throw new Error('createSlice expects a name.');
+  }
+  if (initialState === undefined) {
+    throw new Error(`The initial state of slice "${name}" may not be undefined, use null instead.`);
+  }
+
+  const actions = {};
+  const caseReducers = {};
+
+  Object.keys(reducers).forEach(key => {
+    const definition = reducers[key];
+    const type = `${name}/${key}`;
+
+    if (typeof definition === 'function') {
+      caseReducers[key] = definition;
+      actions[key] = createAction(type);
+    } else {
+      caseReducers[key] = definition.reducer;
+      actions[key] = createAction(type, definition.prepare);
+    }
+  });
+
+  const reducer = createReducer(initialState, builder => {
+    Object.keys(caseReducers).forEach(key => {
+      builder.addCase(actions[key].type, caseReducers[key]);
+    });
+    if (extraReducers) extraReducers(builder);
+  });
+
+  return {
+    name,
+    reducer,
+    actions,
+    caseReducers
+  }
+}
@@ -0,0 +1,166 @@
+import { produce, isDraft, createAction, createReducer, createSlice } from './MyToolkit';
+
+function createBase() {
+  return {
+    user: { name: 'Ada', address: { city: 'London', zip: 'N1' } },
+    settings: { theme: 'light' },
+    todos: [{ text: 'write tests', done: false }, { text: 'ship', done: false }]
+  };
+}
+
+describe('produce', () => {
+  it('returns the base itself when the recipe changed nothing', () => {
+    const base = createBase();
+
+    expect(produce(base, draft => {
+      draft.settings.theme = 'light';
+    })).toBe(base);
+  });
+
+  it('copies the path to a nested write and keeps the untouched branches', () => {
+    const base = createBase();
+
+    const next = produce(base, draft => {
+      draft.user.address.city = 'Paris';
+    });
+
+    expect(next.user.address).toEqual({ city: 'Paris', zip: 'N1' });
+    expect(base.user.address.city).toBe('London');
+    expect(next).not.toBe(base);
+    expect(next.user).not.toBe(base.user);
+    expect(next.settings).toBe(base.settings);
+    expect(next.todos).toBe(base.todos);
+  });
+
+  it('pushes onto and splices arrays', () => {
+    const base = createBase();
+
+    const next = produce(base, draft => {
+      draft.todos.push({ text: 'celebrate', done: false });
+      draft.todos.splice(0, 1);
+      draft.todos[0].done = true;
+    });
+
+    expect(next.todos).toEqual([
+      { text: 'ship', done: true },
+      { text: 'celebrate', done: false }
+    ]);
+    expect(next.todos[0]).not.toBe(base.todos[1]);
+    expect(base.todos.length).toBe(2);
+    expect(base.todos[1].done).toBe(false);
+  });
+
+  it('deletes keys', () => {
+    const base = createBase();
+
+    const next = produce(base, draft => {
+      delete draft.user.address;
+      delete draft.missing;
+    });
+
+    expect(next.user).toEqual({ name: 'Ada' });
+    expect(base.user.address).toBeDefined();
+    expect(next.settings).toBe(base.settings);
+  });
+
+  it('takes a new value the recipe returns and replaces the drafts in it', () => {
+    const base = createBase();
+
+    const next = produce(base, draft => ({ ...draft, open: draft.todos.filter(todo => !todo.done) }));
+
+    expect(next.open).toEqual(base.todos);
+    expect(isDraft(next.open[0])).toBe(false);
+    expect(next.open[0]).toBe(base.todos[0]);
+  });
+
+  it('throws when the recipe changes the draft and returns a new value', () => {
+    expect(() => produce(createBase(), draft => {
+      draft.settings.theme = 'dark';
+      return { settings: { theme: 'dark' } };
+    })).toThrow('A reducer either changes the draft or returns a new value, not both.');
+  });
+});
+
+describe('createReducer', () => {
+  const reset = createAction('reset');
+
+  it('needs a number state to be returned from its case reducers', () => {
+    const counter = createReducer(0, builder => builder
+      .addCase('increment', state => state + 1)
+      .addCase('broken', () => {})
+    );
+
+    expect(counter(1, { type: 'increment' })).toBe(2);
+    expect(() => counter(1, { type: 'broken' })).toThrow(/must return the next state/);
+  });
+
+  it('runs the exact case, then the matchers, the default case only when none matched', () => {
+    const log = createReducer([], builder => builder
+      .addCase(reset, () => [])
+      .addMatcher(action => action.type.indexOf('todos/') === 0, (state, action) => {
+        state.push(action.type);
+      })
+      .addMatcher(reset, state => {
+        state.push('after reset');
+      })
+      .addDefaultCase(state => {
+        state.push('default');
+      })
+    );
+
+    expect(log(['old'], reset())).toEqual(['after reset']);
+    expect(log([], { type: 'todos/add' })).toEqual(['todos/add']);
+    expect(log([], { type: 'other' })).toEqual(['default']);
+  });
+});
+
+describe('createSlice', () => {
+  const todos = createSlice({
+    name: 'todos',
+    initialState: [],
+    reducers: {
+      todoAdded: {
+        reducer(state, action) {
+          state.push(action.payload);
+        },
+        prepare: (text, id) => ({ payload: { id, text, done: false }, meta: { at: 'now' } })
+      },
+      todoToggled(state, action) {
+        const todo = state.find(todo => todo.id === action.payload);
+        todo.done = !todo.done;
+      },
+      todosCleared: () => []
+    },
+    extraReducers: builder => builder.addCase('session/logout', () => [])
+  });
+
+  it('creates an action creator per reducer under the name of the slice', () => {
+    const { todoAdded, todoToggled } = todos.actions;
+
+    expect(todoAdded('write docs', 1)).toEqual({
+      type: 'todos/todoAdded',
+      payload: { id: 1, text: 'write docs', done: false },
+      meta: { at: 'now' }
+    });
+    expect(todoToggled(1)).toEqual({ type: 'todos/todoToggled', payload: 1 });
+    expect(`${todoToggled}`).toBe('todos/todoToggled');
+    expect(todoToggled.match({ type: 'todos/todoToggled' })).toBe(true);
+  });
+
+  it('reduces its own actions and the extra ones', () => {
+    const { todoAdded, todoToggled, todosCleared } = todos.actions;
+
+    const added = [todoAdded('write docs', 1), todoAdded('ship', 2)]
+      .reduce(todos.reducer, undefined);
+    const toggled = todos.reducer(added, todoToggled(2));
+
+    expect(toggled).toEqual([
+      { id: 1, text: 'write docs', done: false },
+      { id: 2, text: 'ship', done: true }
+    ]);
+    expect(toggled[0]).toBe(added[0]);
+    expect(todos.reducer(toggled, todosCleared())).toEqual([]);
+    expect(todos.reducer(toggled, { type: 'session/logout' })).toEqual([]);
+    expect(todos.reducer(toggled, { type: 'unknown' })).toBe(toggled);
+  });
+});
@@ -0,0 +1,161 @@
+// undoable is a higher order reducer: it wraps the reducer of one slice and keeps the
+// earlier and later versions of that slice next to the current one
+//
+// combineReducers({ document: undoable(documentReducer, { limit: 50 }), session })
+//
+// state.document => { past: [...], present: documentState, future: [...] }
+//
+// only the wrapped slice gets history, the rest of the store is untouched. containers
+// read the present like any other slice and canUndo/canRedo through mapStateToProps:
+//
+// const mapStateToProps = state => ({
+//   document: state.document.present,
+//   canUndo: canUndo(state.document),
+//   canRedo: canRedo(state.document)
+// })
+
+export const ActionTypes = {
+  UNDO: '@@myundo/UNDO',
+  REDO: '@@myundo/REDO',
+  JUMP: '@@myundo/JUMP',
+  CLEAR_HISTORY: '@@myundo/CLEAR_HISTORY'
+}
+
+export const ActionCreators = {
+  undo: () => ({ type: ActionTypes.UNDO }),
+  redo: () => ({ type: ActionTypes.REDO }),
+  // jump(-2) undoes two steps, jump(3) redoes three
+  jump: index => ({ type: ActionTypes.JUMP, index }),
+  clearHistory: () => ({ type: ActionTypes.CLEAR_HISTORY })
+}
+
+export const canUndo = history => history.past.length > 0;
+export const canRedo = history => history.future.length > 0;
+
+// a couple of ready made filters for the filter option
+export function includeAction(types) {
+  const list = Array.isArray(types) ? types : [types];
+  return action => list.indexOf(action.type) !== -1;
+}
+
+export function excludeAction(types) {
+  const list = Array.isArray(types) ? types : [types];
+  return action => list.indexOf(action.type) === -1;
+}
+
+// groupByActionTypes(['TYPE_TEXT']) merges a run of the same typing action into one
+// history entry, so one undo removes the whole word instead of a single letter
+export function groupByActionTypes(types) {
+  const list = Array.isArray(types) ? types : [types];
+  return action => (list.indexOf(action.type) !== -1 ? action.type : null);
+}
+
+function createHistory(past, present, future, group = null) {
+  return { past, present, future, group };
+}
+
+function isHistory(state) {
+  return typeof state === 'object' && state !== null &&
+    Array.isArray(state.past) && Array.isArray(state.future) && 'present' in state;
+}
+
+// the present moves into the past, the oldest entries are dropped past the limit
+function insert(history, present, limit, group) {
+  const past = history.past.concat([history.present]);
+  const trimmedPast = limit && past.length > limit
+    ? past.slice(past.length - limit)
+    : past;
+
+  return createHistory(trimmedPast, present, [], group);
+}
+
+function undo(history) {
+  if (history.past.length === 0) return history;
+
+  const { past, present, future } = history;
+  return createHistory(past.slice(0, -1), past[past.length - 1], [present].concat(future));
+}
+
+function redo(history) {
+  if (history.future.length === 0) return history;
+
+  const { past, present, future } = history;
+  return createHistory(past.concat([present]), future[0], future.slice(1));
+}
+
+function jump(history, index) {
+  let next = history;
+  for (let i = 0; i < Math.abs(index); i++) {
+    next = index < 0 ? undo(next) : redo(next);
+  }
+  return next;
+}
+
+// options:
+// limit            how many past states to keep (default unlimited)
+// filter(action, present, history)
+//                  return false and the action still changes the present but doesn't
+//                  create a history entry, e.g. selections or hover states
+// groupBy(action, present, history)
+//                  actions that return the same non null key one after another share
+//                  a single history entry
+// undoType, redoType, jumpType, clearHistoryType
+//                  use your own action types instead of the built-in ones
+export function undoable(reducer, options = {}) {
+  const {
+    limit,
+    filter = () => true,
+    groupBy = () => null,
+    undoType = ActionTypes.UNDO,
+    redoType = ActionTypes.REDO,
+    jumpType = ActionTypes.JUMP,
+    clearHistoryType = ActionTypes.CLEAR_HISTORY
+  } = options;
+
+  if (limit !== undefined && (typeof limit !== 'number' || limit < 1)) {
+    throw new Error(`undoable expected limit to be a positive number, instead received ${limit}.`);
+  }
+
+  return function undoableReducer(history, action) {
+    // no state yet (store init, combineReducers probing) or a plain preloaded slice
+    if (history === undefined || !isHistory(history)) {
+      const present = reducer(history, action);
+      return createHistory([], present, []);
+    }
+
+    switch (action.type) {
+      case undoType:
+        return undo(history);
+
+      case redoType:
+        return redo(history);
+
+      case jumpType:
+        return jump(history, action.index);
+
+      case clearHistoryType:
+        if (history.past.length === 0 && history.future.length === 0) return history;
+        return createHistory([], history.present, []);
+
+      default: {
+        const present = reducer(history.present, action);
+
+        // nothing changed, keep the same reference so combineReducers and connect
+        // don't see a change either
+        if (present === history.present) return history;
+
+        if (!filter(action, present, history)) {
+          return createHistory(history.past, present, history.future, history.group);
+        }
+
+        const group = groupBy(action, present, history);
+        if (group !== null && group !== undefined && group === history.group) {
+          // same group as the last entry, only the present moves on
+          return createHistory(history.past, present, [], group);
+        }
+
+        return insert(history, present, limit, group === undefined ? null : group);
+      }
+    }
+  }
+}
@@ -0,0 +1,120 @@
+import {
+  undoable,
+  ActionCreators,
+  canUndo,
+  canRedo,
+  excludeAction,
+  groupByActionTypes
+} from './MyUndo';
+
+function text(state = '', action) {
+  switch (action.type) {
+    case 'TYPE':
+      return state + action.text;
+    case 'MARK':
+      return `${state}*`;
+    default:
+      return state;
+  }
+}
+
+const type = value => ({ type: 'TYPE', text: value });
+
+// reduces the actions one after another, from the given history or the one the store
+// would start with
+function run(reducer, actions, history = reducer(undefined, { type: '@@INIT' })) {
+  return actions.reduce(reducer, history);
+}
+
+describe('undoable', () => {
+  it('starts with an empty history around the initial state', () => {
+    const history = undoable(text)(undefined, { type: '@@INIT' });
+
+    expect(history).toEqual({ past: [], present: '', future: [], group: null });
+    expect(canUndo(history)).toBe(false);
+    expect(canRedo(history)).toBe(false);
+  });
+
+  it('undoes and redoes one step at a time', () => {
+    const reducer = undoable(text);
+    const history = run(reducer, [type('a'), type('b'), type('c')]);
+
+    const undone = run(reducer, [ActionCreators.undo(), ActionCreators.undo()], history);
+    expect(undone.present).toBe('a');
+    expect(undone.past).toEqual(['']);
+    expect(undone.future).toEqual(['ab', 'abc']);
+
+    const redone = reducer(undone, ActionCreators.redo());
+    expect(redone.present).toBe('ab');
+    expect(canRedo(redone)).toBe(true);
+  });
+
+  it('jumps several steps back and forward', () => {
+    const reducer = undoable(text);
+    const history = run(reducer, [type('a'), type('b'), type('c')]);
+
+    const back = reducer(history, ActionCreators.jump(-3));
+    expect(back.present).toBe('');
+    expect(back.future).toEqual(['a', 'ab', 'abc']);
+
+    const forward = reducer(back, ActionCreators.jump(2));
+    expect(forward.present).toBe('ab');
+    expect(forward.past).toEqual(['', 'a']);
+  });
+
+  it('returns the same history when there is nothing to undo or redo', () => {
+    const reducer = undoable(text);
+    const history = run(reducer, [type('a')]);
+
+    expect(reducer(history, ActionCreators.redo())).toBe(history);
+    expect(reducer(history, { type: 'UNKNOWN' })).toBe(history);
+  });
+
+  it('clears the future with a new action', () => {
+    const reducer = undoable(text);
+    const history = run(reducer, [type('a'), type('b'), ActionCreators.undo()]);
+    expect(history.future).toEqual(['ab']);
+
+    const next = reducer(history, type('c'));
+    expect(next.present).toBe('ac');
+    expect(next.past).toEqual(['', 'a']);
+    expect(next.future).toEqual([]);
+  });
+
+  it('keeps only limit past states', () => {
+    const reducer = undoable(text, { limit: 2 });
+    const history = run(reducer, [type('a'), type('b'), type('c')]);
+
+    expect(history.past).toEqual(['a', 'ab']);
+    expect(() => undoable(text, { limit: 0 })).toThrow(/limit to be a positive number/);
+  });
+
+  it('changes the present without a history entry for filtered actions', () => {
+    const reducer = undoable(text, { filter: excludeAction('MARK') });
+    const history = run(reducer, [type('a'), type('b'), ActionCreators.undo()]);
+
+    const marked = reducer(history, { type: 'MARK' });
+    expect(marked.present).toBe('a*');
+    expect(marked.past).toEqual(history.past);
+    expect(marked.future).toEqual(['ab']);
+  });
+
+  it('merges a run of grouped actions into one entry', () => {
+    const reducer = undoable(text, { groupBy: groupByActionTypes('TYPE') });
+    const history = run(reducer, [type('a'), type('b'), type('c')]);
+
+    expect(history.present).toBe('abc');
+    expect(history.past).toEqual(['']);
+    expect(reducer(history, ActionCreators.undo()).present).toBe('');
+  });
+
+  it('forgets the history with clearHistory', () => {
+    const reducer = undoable(text);
+    const history = run(reducer, [type('a'), type('b'), ActionCreators.undo()]);
+
+    const cleared = reducer(history, ActionCreators.clearHistory());
+    expect(cleared.present).toBe('a');
+    expect(cleared.past).toEqual([]);
+    expect(cleared.future).toEqual([]);
+  });
+});
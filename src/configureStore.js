@@ -0,0 +1,15 @@
+import { createStore, combineReducers, applyMiddleware, compose, thunk } from './MyRedux';
+import { offline, offlineReducer } from './MyOffline';
+
+const greeting = (state = 'Hello World') => state;
+
+export const rootReducer = combineReducers({
+  greeting,
+  offline: offlineReducer
+});
+
+// the client creates one store with the state the server rendered from, the server
+// creates a new one for every request
+export function configureStore(preloadedState) {
+  return createStore(rootReducer, preloadedState, compose(applyMiddleware(thunk), offline()));
+}
@@ -1,7 +1,29 @@
 import React from 'react';
-import { render } from 'react-dom';
+import { hydrate, render } from 'react-dom';
 import { App } from './App';
+import { Provider } from './MyRedux';
+import { configureStore } from './configureStore';
+import { ActionCreators as OfflineActions } from './MyOffline';
 import registerServiceWorker from './registerServiceWorker';
 
-render(<App />, document.getElementById('root'));
-registerServiceWorker();
+// the state the server rendered from, see MyServer. the global is deleted so the
+// (possibly large) object can be garbage collected once the store has it
+const preloadedState = window.__PRELOADED_STATE__;
+delete window.__PRELOADED_STATE__;
+
+const store = configureStore(preloadedState);
+const root = document.getElementById('root');
+
+// the development server sends an empty root, there is nothing to hydrate then
+const renderRoot = root.hasChildNodes() ? hydrate : render;
+
+renderRoot(
+  <Provider store={store}>
+    <App />
+  </Provider>,
+  root
+);
+registerServiceWorker({
+  onOnline: () => store.dispatch(OfflineActions.networkStatusChanged(true)),
+  onOffline: () => store.dispatch(OfflineActions.networkStatusChanged(false))
+});
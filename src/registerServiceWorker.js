@@ -18,7 +18,10 @@ const isLocalhost = Boolean(
     )
 );
 
-export default function register() {
+// config.onOnline and config.onOffline are called once the service worker script could
+// or could not be fetched from the network, e.g. to let the offline middleware know:
+// register({ onOffline: () => store.dispatch(ActionCreators.networkStatusChanged(false)) })
+export default function register(config = {}) {
   if (process.env.NODE_ENV === 'production' && 'serviceWorker' in navigator) {
     // The URL constructor is available in all browsers that support SW.
     const publicUrl = new URL(process.env.PUBLIC_URL, window.location);
@@ -35,9 +38,10 @@ export default function register() {
       if (!isLocalhost) {
         // Is not local host. Just register service worker
         registerValidSW(swUrl);
+        reportConnectivity(swUrl, config);
       } else {
         // This is running on localhost. Lets check if a service worker still exists or not.
-        checkValidServiceWorker(swUrl);
+        checkValidServiceWorker(swUrl, config);
       }
     });
   }
@@ -72,7 +76,7 @@ function registerValidSW(swUrl) {
     });
 }
 
-function checkValidServiceWorker(swUrl) {
+function checkValidServiceWorker(swUrl, config) {
   // Check if the service worker can be found. If it can't reload the page.
   fetch(swUrl)
     .then(response => {
@@ -91,11 +95,35 @@ function checkValidServiceWorker(swUrl) {
         // Service worker found. Proceed as normal.
         registerValidSW(swUrl);
       }
+      if (config.onOnline) {
+        config.onOnline();
+      }
     })
     .catch(() => {
       console.log(
         'No internet connection found. App is running in offline mode.'
       );
+      if (config.onOffline) {
+        config.onOffline();
+      }
+    });
+}
+
+// outside localhost nothing else fetches the script, no-store keeps the HTTP cache from
+// answering for a network that isn't there
+function reportConnectivity(swUrl, config) {
+  if (!config.onOnline && !config.onOffline) return;
+
+  fetch(swUrl, { cache: 'no-store' })
+    .then(() => {
+      if (config.onOnline) {
+        config.onOnline();
+      }
+    })
+    .catch(() => {
+      if (config.onOffline) {
+        config.onOffline();
+      }
     });
 }
 